@@ -0,0 +1,68 @@
+/**
+ * Bakes the bundled water normal map
+ *
+ * Writes src/assets/water-normals.png with the same generator the game can
+ * run at startup, so the water is textured without fetching anything.
+ * Run with `npm run bake:normals`.
+ */
+
+import { writeFileSync } from 'node:fs';
+import { deflateSync } from 'node:zlib';
+import { bakeWaterNormals, waterNormalsParams } from '../src/water-normals.js';
+
+const OUTPUT = new URL('../src/assets/water-normals.png', import.meta.url);
+
+// CRC-32 as used by PNG chunks
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+// Encode RGBA pixels (rows from the bottom) as an 8-bit RGB PNG
+function encodePNG(pixels, size) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 2; // Truecolor
+
+  // PNG rows run from the top, each prefixed with filter type 0
+  const rows = Buffer.alloc(size * (size * 3 + 1));
+  for (let y = 0; y < size; y++) {
+    const rowStart = y * (size * 3 + 1);
+    const sourceRow = size - 1 - y;
+    for (let x = 0; x < size; x++) {
+      const source = (sourceRow * size + x) * 4;
+      rows[rowStart + 1 + x * 3] = pixels[source];
+      rows[rowStart + 2 + x * 3] = pixels[source + 1];
+      rows[rowStart + 3 + x * 3] = pixels[source + 2];
+    }
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', deflateSync(rows, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// The default parameters, so the bundled and procedural maps match
+writeFileSync(OUTPUT, encodePNG(bakeWaterNormals(), waterNormalsParams.size));
+console.log(`Wrote ${OUTPUT.pathname}`);
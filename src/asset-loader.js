@@ -0,0 +1,97 @@
+/**
+ * Asset Loading
+ *
+ * This file loads everything the game needs before it starts through a
+ * single THREE.LoadingManager. Textures and models go through three.js
+ * loaders, and other work (the Rapier WASM module, level files) is tracked
+ * as items of its own, so the loading screen shows real progress. A failed
+ * asset is reported by name so the player can be offered a retry.
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Loads a set of assets in parallel, reporting progress as they finish
+ * @param {Object} assets - Map of key to { name, load(manager), optional }.
+ *   `load` returns a promise and should pass the manager on to any three.js
+ *   loader; optional assets resolve to null instead of failing the load.
+ * @param {Function} onProgress - Called with (fraction, item) as items finish
+ * @returns {Promise<Object>} Resolves to the loaded assets by key; rejects
+ *   with an error whose `asset` property names the asset that failed
+ */
+export async function loadAssets(assets, onProgress = () => {}) {
+  const manager = new THREE.LoadingManager();
+  manager.onProgress = (item, loaded, total) => onProgress(loaded / total, item);
+
+  // Every asset is started as an item up front, so the total is known
+  // before anything finishes and the bar never runs backwards far
+  const loads = Object.entries(assets).map(async ([key, asset]) => {
+    manager.itemStart(asset.name);
+    try {
+      return [key, await asset.load(manager)];
+    } catch (error) {
+      // Image loaders reject with a DOM event rather than an Error
+      const reason = (error && error.message) || 'request failed';
+      if (asset.optional) {
+        console.warn(`Could not load ${asset.name} (${reason}), carrying on without it`);
+        return [key, null];
+      }
+
+      manager.itemError(asset.name);
+      const failure = new Error(`Could not load ${asset.name}: ${reason}`);
+      failure.asset = asset.name;
+      throw failure;
+    } finally {
+      manager.itemEnd(asset.name);
+    }
+  });
+
+  return Object.fromEntries(await Promise.all(loads));
+}
+
+/**
+ * Drives the loading screen in index.html
+ * @param {HTMLElement} element - The loading screen element
+ * @returns {Object} The loading screen object
+ */
+export function createLoadingScreen(element = document.getElementById('loading')) {
+  const progressBar = element.querySelector('.progress-bar');
+  const status = element.querySelector('.loading-status');
+  const errorPanel = element.querySelector('.loading-error');
+  const errorMessage = element.querySelector('.loading-error-message');
+  const retryButton = element.querySelector('.loading-retry');
+
+  return {
+    /**
+     * Shows load progress
+     * @param {number} fraction - Fraction loaded, 0 to 1
+     * @param {string} item - Name of the item that just finished
+     */
+    setProgress: function(fraction, item) {
+      progressBar.style.width = `${Math.round(fraction * 100)}%`;
+      status.textContent = item ? `Loaded ${item}` : '';
+    },
+
+    /**
+     * Shows a failed load with a button to try again
+     * @param {Error} error - The failure from loadAssets
+     * @param {Function} onRetry - Called when the player retries
+     */
+    showError: function(error, onRetry) {
+      errorMessage.textContent = error.message;
+      errorPanel.hidden = false;
+      retryButton.onclick = () => {
+        errorPanel.hidden = true;
+        onRetry();
+      };
+    },
+
+    // Fade the screen out once the game is running
+    hide: function() {
+      element.style.opacity = 0;
+      setTimeout(() => {
+        element.style.display = 'none';
+      }, 500);
+    }
+  };
+}
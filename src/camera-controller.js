@@ -0,0 +1,263 @@
+/**
+ * Camera Controller
+ *
+ * This file moves the camera around the capybara. It offers a smoothed
+ * third-person chase camera, the free orbit camera, and a low eye-level
+ * view, and keeps the camera out of the island and above the water
+ * unless underwater viewing is switched on.
+ */
+
+import * as THREE from 'three';
+import RAPIER from '@dimforge/rapier3d-compat';
+import { isTypingEvent } from './keyboard.js';
+
+// Camera modes, in the order the C key cycles through them
+const cameraModes = ['chase', 'orbit', 'eyeLevel'];
+
+// Camera parameters
+const cameraControllerParams = {
+  mode: 'chase',            // One of cameraModes
+
+  // Chase camera
+  chaseDistance: 6.0,       // Distance behind the capybara
+  chaseHeight: 2.5,         // Height above the capybara
+  lookHeight: 0.5,          // Height above the capybara the camera aims at
+  positionSmoothing: 4.0,   // How quickly the camera catches up (1/s)
+  headingSmoothing: 3.0,    // How quickly the camera swings behind a turn (1/s)
+
+  // Eye-level camera, in the capybara's frame (head along local +X)
+  eyeOffset: new THREE.Vector3(1.0, 0.55, 0),
+  eyeLookDistance: 10.0,    // How far ahead the eye-level camera looks
+  eyeSmoothing: 12.0,       // Light smoothing to hide physics jitter (1/s)
+
+  // Constraints
+  collisionPadding: 0.3,    // Gap kept between the camera and the island
+  waterClearance: 0.2,      // Height kept above the water surface
+  allowUnderwater: false    // Let the camera dip below the surface
+};
+
+// Raycasts only look for static scenery, not floating props or sensors
+const COLLISION_FILTER = RAPIER.QueryFilterFlags.EXCLUDE_DYNAMIC |
+  RAPIER.QueryFilterFlags.EXCLUDE_SENSORS;
+
+/**
+ * Creates a camera controller that follows a rigid body or the mesh it drives
+ * @param {THREE.PerspectiveCamera} camera - The camera to move
+ * @param {OrbitControls} controls - Orbit controls used by the orbit mode
+ * @param {RAPIER.RigidBody|THREE.Object3D} body - The body to follow (the capybara), or
+ *   its mesh to follow the transform interpolated between physics steps
+ * @param {RAPIER.World} world - Physics world used for collision raycasts
+ * @param {Object} waterPhysics - Water physics simulator from createWaterPhysics
+ * @param {Object} params - Optional parameters to override defaults
+ * @returns {Object} The camera controller object
+ */
+export function createCameraController(camera, controls, body, world, waterPhysics, params = {}) {
+  // Merge provided params with defaults
+  const settings = { ...cameraControllerParams, ...params };
+
+  // Reusable vectors to avoid per-frame allocations
+  const targetPosition = new THREE.Vector3();
+  const lastTargetPosition = new THREE.Vector3();
+  const bodyQuaternion = new THREE.Quaternion();
+  const yawQuaternion = new THREE.Quaternion();
+  const facing = new THREE.Vector3();
+  const desiredPosition = new THREE.Vector3();
+  const lookTarget = new THREE.Vector3();
+  const smoothedLookTarget = new THREE.Vector3();
+  const pivot = new THREE.Vector3();
+  const rayDirection = new THREE.Vector3();
+  const ray = new RAPIER.Ray({ x: 0, y: 0, z: 0 }, { x: 0, y: 0, z: 1 });
+
+  // Camera position chosen by the orbit controls before any constraints,
+  // so pulling the camera in front of the island doesn't shrink the orbit
+  const orbitPosition = new THREE.Vector3().copy(camera.position);
+
+  // Heading the chase camera sits behind, eased towards the capybara's
+  let chaseYaw = 0;
+
+  // Current position and rotation of a body or mesh
+  const getPosition = () => (body.isObject3D ? body.position : body.translation());
+  const getRotation = () => (body.isObject3D ? body.quaternion : body.rotation());
+
+  // Read the body's position and the yaw its head points along
+  function readBody() {
+    targetPosition.copy(getPosition());
+    const rotation = getRotation();
+    bodyQuaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
+    facing.set(1, 0, 0).applyQuaternion(bodyQuaternion);
+    facing.y = 0;
+    return facing.lengthSq() > 1e-6 ? Math.atan2(-facing.z, facing.x) : chaseYaw;
+  }
+
+  // Ease an angle towards another the short way round
+  function dampAngle(current, target, rate, deltaTime) {
+    let difference = target - current;
+    difference = Math.atan2(Math.sin(difference), Math.cos(difference));
+    return current + difference * (1 - Math.exp(-rate * deltaTime));
+  }
+
+  // Pull the camera in front of any scenery between it and the pivot
+  function resolveCollision(position) {
+    rayDirection.subVectors(position, pivot);
+    const distance = rayDirection.length();
+    if (distance < 1e-4) return;
+    rayDirection.divideScalar(distance);
+
+    ray.origin = { x: pivot.x, y: pivot.y, z: pivot.z };
+    ray.dir = { x: rayDirection.x, y: rayDirection.y, z: rayDirection.z };
+    const hit = world.castRay(ray, distance + settings.collisionPadding, true, COLLISION_FILTER);
+    if (!hit) return;
+
+    const clearDistance = Math.max(0, hit.toi - settings.collisionPadding);
+    if (clearDistance < distance) {
+      position.copy(pivot).addScaledVector(rayDirection, clearDistance);
+    }
+  }
+
+  // Keep the camera above the (moving) water surface
+  function resolveWater(position, waterLevel, time) {
+    if (settings.allowUnderwater) return;
+    const surfaceHeight = waterLevel + waterPhysics.getWaterHeight(position.x, position.z, time);
+    position.y = Math.max(position.y, surfaceHeight + settings.waterClearance);
+  }
+
+  function updateChase(deltaTime, bodyYaw) {
+    chaseYaw = dampAngle(chaseYaw, bodyYaw, settings.headingSmoothing, deltaTime);
+
+    // Behind the head, which points along the yawed +X axis
+    desiredPosition.set(
+      targetPosition.x - Math.cos(chaseYaw) * settings.chaseDistance,
+      targetPosition.y + settings.chaseHeight,
+      targetPosition.z + Math.sin(chaseYaw) * settings.chaseDistance
+    );
+    pivot.copy(targetPosition).y += settings.lookHeight;
+    resolveCollision(desiredPosition);
+
+    camera.position.lerp(desiredPosition, 1 - Math.exp(-settings.positionSmoothing * deltaTime));
+    lookTarget.copy(pivot);
+  }
+
+  function updateOrbit() {
+    // Carry the orbit along with the capybara, then let the user steer it
+    camera.position.copy(orbitPosition).add(targetPosition).sub(lastTargetPosition);
+    controls.target.copy(targetPosition).y += settings.lookHeight;
+    controls.update();
+    orbitPosition.copy(camera.position);
+
+    pivot.copy(controls.target);
+    resolveCollision(camera.position);
+    lookTarget.copy(pivot);
+  }
+
+  function updateEyeLevel(deltaTime, bodyYaw) {
+    // Follow the heading only, so rolling in the waves doesn't tip the view
+    chaseYaw = bodyYaw;
+    yawQuaternion.setFromAxisAngle(THREE.Object3D.DEFAULT_UP, bodyYaw);
+
+    desiredPosition.copy(settings.eyeOffset).applyQuaternion(yawQuaternion).add(targetPosition);
+    camera.position.lerp(desiredPosition, 1 - Math.exp(-settings.eyeSmoothing * deltaTime));
+
+    facing.set(1, 0, 0).applyQuaternion(yawQuaternion);
+    lookTarget.copy(camera.position).addScaledVector(facing, settings.eyeLookDistance);
+  }
+
+  /**
+   * Switches camera mode
+   * @param {string} mode - One of 'chase', 'orbit' or 'eyeLevel'
+   */
+  function setMode(mode) {
+    if (!cameraModes.includes(mode)) {
+      throw new Error(`Unknown camera mode "${mode}"`);
+    }
+    settings.mode = mode;
+
+    // Orbit mode starts from wherever the camera is now
+    controls.enabled = mode === 'orbit';
+    if (mode === 'orbit') {
+      orbitPosition.copy(camera.position);
+      lastTargetPosition.copy(getPosition());
+    }
+    smoothedLookTarget.copy(lookTarget);
+  }
+
+  function onKeyDown(event) {
+    if (event.code !== 'KeyC' || event.repeat || isTypingEvent(event)) return;
+    const next = (cameraModes.indexOf(settings.mode) + 1) % cameraModes.length;
+    setMode(cameraModes[next]);
+  }
+
+  window.addEventListener('keydown', onKeyDown);
+
+  // Start behind the capybara, looking at it
+  chaseYaw = readBody();
+  lastTargetPosition.copy(targetPosition);
+  lookTarget.copy(targetPosition);
+  smoothedLookTarget.copy(targetPosition);
+  setMode(settings.mode);
+
+  return {
+    settings,
+    modes: cameraModes,
+    setMode,
+
+    /**
+     * Moves the camera for this frame; call after stepping the physics
+     * @param {number} deltaTime - Frame time in seconds
+     * @param {number} waterLevel - Base height of the water surface
+     * @param {number} time - Elapsed time used by the wave functions
+     */
+    update: function(deltaTime, waterLevel, time) {
+      const bodyYaw = readBody();
+
+      if (settings.mode === 'orbit') {
+        updateOrbit();
+      } else if (settings.mode === 'eyeLevel') {
+        updateEyeLevel(deltaTime, bodyYaw);
+      } else {
+        updateChase(deltaTime, bodyYaw);
+      }
+      lastTargetPosition.copy(targetPosition);
+
+      resolveWater(camera.position, waterLevel, time);
+
+      // The orbit controls already aim the camera; the other modes ease
+      // their aim point so the view doesn't jerk with every wave
+      if (settings.mode === 'orbit') {
+        smoothedLookTarget.copy(lookTarget);
+      } else {
+        smoothedLookTarget.lerp(lookTarget, 1 - Math.exp(-settings.positionSmoothing * 2 * deltaTime));
+      }
+      camera.lookAt(smoothedLookTarget);
+    },
+
+    // Remove input listeners
+    dispose: function() {
+      window.removeEventListener('keydown', onKeyDown);
+    }
+  };
+}
+
+/**
+ * Adds a Camera folder to a GUI
+ * @param {GUI} gui - The GUI to extend
+ * @param {Object} cameraController - Controller from createCameraController
+ * @returns {GUI} The created folder
+ */
+export function createCameraControls(gui, cameraController) {
+  const { settings } = cameraController;
+  const folder = gui.addFolder('Camera');
+
+  folder.add(settings, 'mode', { 'Chase': 'chase', 'Orbit': 'orbit', 'Eye Level': 'eyeLevel' })
+    .name('Mode (C)')
+    .onChange((mode) => cameraController.setMode(mode))
+    .listen();
+  folder.add(settings, 'chaseDistance', 2, 15, 0.5).name('Chase Distance');
+  folder.add(settings, 'chaseHeight', 0, 8, 0.25).name('Chase Height');
+  folder.add(settings, 'positionSmoothing', 0.5, 20, 0.5).name('Smoothing');
+  folder.add(settings, 'allowUnderwater').name('Allow Underwater');
+
+  return folder;
+}
+
+// Export parameters for use elsewhere
+export { cameraControllerParams };
@@ -0,0 +1,193 @@
+/**
+ * Capybara Character Controller
+ *
+ * This file maps keyboard input to swim thrust and turning forces on the
+ * capybara's rigid body. Movement is relative to the camera, and the
+ * capybara turns to face the direction it is travelling.
+ */
+
+import * as THREE from 'three';
+import { isTypingEvent } from './keyboard.js';
+
+// Controller parameters
+const capybaraControllerParams = {
+  // Thrust (accelerations, so they don't depend on body mass)
+  swimThrust: 8.0,        // Acceleration while swimming
+  walkThrust: 12.0,       // Acceleration while on land
+
+  // Speed limits
+  maxSwimSpeed: 3.0,      // Top horizontal speed in water
+  maxWalkSpeed: 5.0,      // Top horizontal speed on land
+
+  // Turning
+  turnStiffness: 12.0,    // How strongly the body turns towards its heading
+  turnDamping: 4.0,       // Resistance to spinning past the heading
+
+  // Water detection
+  surfaceMargin: 0.3      // Height above the surface still counted as swimming
+};
+
+// Keys mapped to movement axes
+const keyBindings = {
+  KeyW: 'forward',
+  ArrowUp: 'forward',
+  KeyS: 'backward',
+  ArrowDown: 'backward',
+  KeyA: 'left',
+  ArrowLeft: 'left',
+  KeyD: 'right',
+  ArrowRight: 'right'
+};
+
+/**
+ * Creates a keyboard-driven controller for the capybara
+ * @param {RAPIER.RigidBody} body - The capybara's dynamic rigid body
+ * @param {THREE.Camera} camera - Camera that movement directions are relative to
+ * @param {Object} waterPhysics - Water physics simulator from createWaterPhysics
+ * @param {Object} params - Optional parameters to override defaults
+ * @returns {Object} The capybara controller object
+ */
+export function createCapybaraController(body, camera, waterPhysics, params = {}) {
+  // Merge provided params with defaults
+  const settings = { ...capybaraControllerParams, ...params };
+
+  // Currently held movement keys
+  const input = {
+    forward: false,
+    backward: false,
+    left: false,
+    right: false
+  };
+
+  // Reusable vectors to avoid per-frame allocations
+  const cameraForward = new THREE.Vector3();
+  const cameraRight = new THREE.Vector3();
+  const moveDirection = new THREE.Vector3();
+  const facing = new THREE.Vector3();
+  const bodyQuaternion = new THREE.Quaternion();
+
+  // Keys typed into a text field don't steer; releases always count
+  function onKeyDown(event) {
+    if (isTypingEvent(event)) return;
+    const action = keyBindings[event.code];
+    if (action) input[action] = true;
+  }
+
+  function onKeyUp(event) {
+    const action = keyBindings[event.code];
+    if (action) input[action] = false;
+  }
+
+  // Release everything when the window loses focus so keys don't stick
+  function onBlur() {
+    for (const action in input) input[action] = false;
+  }
+
+  window.addEventListener('keydown', onKeyDown);
+  window.addEventListener('keyup', onKeyUp);
+  window.addEventListener('blur', onBlur);
+
+  // Convert held keys into a world-space direction on the XZ plane
+  function getMoveDirection() {
+    const inputX = (input.right ? 1 : 0) - (input.left ? 1 : 0);
+    const inputZ = (input.forward ? 1 : 0) - (input.backward ? 1 : 0);
+
+    moveDirection.set(0, 0, 0);
+    if (inputX === 0 && inputZ === 0) return moveDirection;
+
+    // Flatten the camera's view direction onto the water plane
+    camera.getWorldDirection(cameraForward);
+    cameraForward.y = 0;
+    if (cameraForward.lengthSq() < 1e-6) cameraForward.set(0, 0, -1);
+    cameraForward.normalize();
+    cameraRight.crossVectors(cameraForward, THREE.Object3D.DEFAULT_UP).normalize();
+
+    moveDirection
+      .addScaledVector(cameraForward, inputZ)
+      .addScaledVector(cameraRight, inputX)
+      .normalize();
+
+    return moveDirection;
+  }
+
+  // Check whether the body is floating in the water rather than on land
+  function isInWater(waterLevel, time) {
+    const position = body.translation();
+    const surfaceHeight = waterLevel + waterPhysics.getWaterHeight(position.x, position.z, time);
+    return position.y < surfaceHeight + settings.surfaceMargin;
+  }
+
+  // Apply thrust along the move direction, up to the current speed limit
+  function applyThrust(direction, inWater, deltaTime) {
+    const thrust = inWater ? settings.swimThrust : settings.walkThrust;
+    const maxSpeed = inWater ? settings.maxSwimSpeed : settings.maxWalkSpeed;
+
+    // Only push while the speed along the move direction is below the limit
+    const velocity = body.linvel();
+    const forwardSpeed = velocity.x * direction.x + velocity.z * direction.z;
+    if (forwardSpeed >= maxSpeed) return;
+
+    const impulse = body.mass() * thrust * deltaTime;
+    body.applyImpulse(
+      { x: direction.x * impulse, y: 0, z: direction.z * impulse },
+      true
+    );
+  }
+
+  // Apply a yaw torque that turns the capybara to face the move direction
+  function applyTurning(direction, deltaTime) {
+    // The capybara's head points along its local +X axis
+    const rotation = body.rotation();
+    bodyQuaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
+    facing.set(1, 0, 0).applyQuaternion(bodyQuaternion);
+
+    const currentYaw = Math.atan2(-facing.z, facing.x);
+    const targetYaw = Math.atan2(-direction.z, direction.x);
+
+    // Wrap the error into [-PI, PI] so we always turn the short way round
+    let yawError = targetYaw - currentYaw;
+    yawError = Math.atan2(Math.sin(yawError), Math.cos(yawError));
+
+    // The largest principal inertia is the one about the vertical axis
+    // while the capybara is lying flat in the water
+    const inertia = body.principalInertia();
+    const yawInertia = Math.max(inertia.x, inertia.y, inertia.z);
+
+    const angularAcceleration =
+      yawError * settings.turnStiffness - body.angvel().y * settings.turnDamping;
+
+    body.applyTorqueImpulse(
+      { x: 0, y: angularAcceleration * yawInertia * deltaTime, z: 0 },
+      true
+    );
+  }
+
+  return {
+    settings,
+    input,
+
+    /**
+     * Applies movement forces for this step; call before stepping the world
+     * @param {number} deltaTime - Physics step in seconds
+     * @param {number} waterLevel - Base height of the water surface
+     * @param {number} time - Elapsed time used by the wave functions
+     */
+    update: function(deltaTime, waterLevel, time) {
+      const direction = getMoveDirection();
+      if (direction.lengthSq() === 0) return;
+
+      applyThrust(direction, isInWater(waterLevel, time), deltaTime);
+      applyTurning(direction, deltaTime);
+    },
+
+    // Remove input listeners
+    dispose: function() {
+      window.removeEventListener('keydown', onKeyDown);
+      window.removeEventListener('keyup', onKeyUp);
+      window.removeEventListener('blur', onBlur);
+    }
+  };
+}
+
+// Export parameters for use elsewhere
+export { capybaraControllerParams };
@@ -0,0 +1,220 @@
+/**
+ * Capybara Model and Animation
+ *
+ * This file loads the capybara's glTF model and drives its animation clips
+ * with a small state machine. The state (idle-float, paddling, diving or
+ * land-walk) is picked from the capybara's speed and how deep it sits in
+ * the water, and clips are cross-faded as the state changes. If the model
+ * can't be loaded, the primitive placeholder capybara is used instead.
+ */
+
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+
+// Model placement and state machine parameters
+const capybaraModelParams = {
+  // The physics body's head points along +X; glTF models face +Z
+  modelRotationY: Math.PI / 2,
+  modelScale: 1.0,
+  modelOffset: new THREE.Vector3(0, -0.7, 0), // Models usually stand on their origin
+
+  // State thresholds
+  landSubmersion: 0.1,      // Below this submerged fraction the capybara is on land
+  diveSubmersion: 0.95,     // Above this it is diving
+  moveSpeed: 0.3,           // Horizontal speed that counts as moving
+  minStateTime: 0.25,       // Seconds a state is held before switching again
+
+  // Blending
+  blendDuration: 0.3,       // Cross-fade time between clips in seconds
+  referenceSpeed: 1.5       // Speed at which paddle/walk clips play at normal rate
+};
+
+// Animation states and the clips that play them. Clips are found by exact
+// name first, then by any clip whose name contains one of the aliases.
+const capybaraAnimationStates = {
+  idleFloat: { clip: 'IdleFloat', aliases: ['idle', 'float'] },
+  paddling: { clip: 'Paddle', aliases: ['paddle', 'swim'], speedScaled: true },
+  diving: { clip: 'Dive', aliases: ['dive'] },
+  landWalk: { clip: 'Walk', aliases: ['walk', 'run'], speedScaled: true }
+};
+
+/**
+ * Builds the primitive capybara used until (or instead of) the glTF model
+ * @returns {THREE.Group} Capsule body, sphere head and eyes, head along +X
+ */
+export function createCapybaraPlaceholder() {
+  const capybaraGroup = new THREE.Group();
+  capybaraGroup.name = 'CapybaraPlaceholder';
+
+  // Body
+  const bodyGeometry = new THREE.CapsuleGeometry(0.7, 1.2, 4, 8);
+  const bodyMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513 });
+  const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+  body.rotation.z = Math.PI / 2;
+  capybaraGroup.add(body);
+
+  // Head
+  const headGeometry = new THREE.SphereGeometry(0.5, 16, 16);
+  const headMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513 });
+  const head = new THREE.Mesh(headGeometry, headMaterial);
+  head.position.set(0.9, 0.2, 0);
+  capybaraGroup.add(head);
+
+  // Eyes
+  const eyeGeometry = new THREE.SphereGeometry(0.1, 8, 8);
+  const eyeMaterial = new THREE.MeshStandardMaterial({ color: 0x000000 });
+
+  const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+  leftEye.position.set(1.2, 0.3, 0.3);
+  capybaraGroup.add(leftEye);
+
+  const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+  rightEye.position.set(1.2, 0.3, -0.3);
+  capybaraGroup.add(rightEye);
+
+  return capybaraGroup;
+}
+
+/**
+ * Checks that a model file is there before loading it. The dev server
+ * answers missing files with the page itself, which the glTF loader would
+ * report as a confusing parse error.
+ * @param {string} url - URL of the model
+ * @returns {Promise<void>} Rejects if the file is missing
+ */
+async function checkModelExists(url) {
+  const response = await fetch(url, { method: 'HEAD' });
+  const contentType = response.headers.get('content-type') || '';
+  if (!response.ok || contentType.includes('text/html')) {
+    throw new Error(`no model at ${url}; add your own capybara.glb there (see the README)`);
+  }
+}
+
+/**
+ * Loads the capybara glTF model
+ * @param {string} url - URL of the .glb/.gltf file
+ * @param {THREE.LoadingManager} manager - Optional loading manager to report progress to
+ * @param {Object} params - Optional parameters to override defaults
+ * @returns {Promise<Object>} Resolves to { model, clips }, with the model turned to face +X
+ */
+export async function loadCapybaraModel(url, manager, params = {}) {
+  const settings = { ...capybaraModelParams, ...params };
+  await checkModelExists(url);
+  const gltf = await new GLTFLoader(manager).loadAsync(url);
+
+  // Wrap the scene so the placement doesn't fight the clips' root motion
+  const model = new THREE.Group();
+  model.name = 'CapybaraModel';
+  gltf.scene.rotation.y = settings.modelRotationY;
+  gltf.scene.scale.setScalar(settings.modelScale);
+  gltf.scene.position.copy(settings.modelOffset);
+  model.add(gltf.scene);
+
+  return { model, clips: gltf.animations };
+}
+
+// Find the clip for a state by name, then by alias
+function findClip(clips, state) {
+  const exact = clips.find((clip) => clip.name.toLowerCase() === state.clip.toLowerCase());
+  if (exact) return exact;
+  return clips.find((clip) => {
+    const name = clip.name.toLowerCase();
+    return state.aliases.some((alias) => name.includes(alias));
+  }) || null;
+}
+
+/**
+ * Creates the animation state machine for a loaded capybara model
+ * @param {THREE.Object3D} model - The model from loadCapybaraModel
+ * @param {THREE.AnimationClip[]} clips - The model's animation clips
+ * @param {Object} params - Optional parameters to override defaults
+ * @returns {Object} The capybara animator object
+ */
+export function createCapybaraAnimator(model, clips, params = {}) {
+  // Merge provided params with defaults
+  const settings = { ...capybaraModelParams, ...params };
+  const mixer = new THREE.AnimationMixer(model);
+
+  // One looping action per state that has a clip, all running at once
+  // and mixed by weight
+  const actions = {};
+  for (const [name, state] of Object.entries(capybaraAnimationStates)) {
+    const clip = findClip(clips, state);
+    if (!clip) continue;
+    const action = mixer.clipAction(clip);
+    action.setEffectiveWeight(0);
+    action.play();
+    actions[name] = { action, weight: 0, state };
+  }
+
+  let currentState = 'idleFloat';
+  let stateTime = Infinity;
+
+  // Pick a state from submersion and speed
+  function chooseState(speed, submersion) {
+    if (submersion >= settings.diveSubmersion) return 'diving';
+    if (submersion < settings.landSubmersion) {
+      return speed > settings.moveSpeed ? 'landWalk' : 'idleFloat';
+    }
+    return speed > settings.moveSpeed ? 'paddling' : 'idleFloat';
+  }
+
+  // States without a clip fall back to idling
+  function playableState(state) {
+    if (actions[state]) return state;
+    return actions.idleFloat ? 'idleFloat' : null;
+  }
+
+  return {
+    settings,
+    mixer,
+
+    // The current animation state
+    get state() {
+      return currentState;
+    },
+
+    /**
+     * Updates the state and advances the animation
+     * @param {number} deltaTime - Frame time in seconds
+     * @param {number} speed - Horizontal speed of the capybara
+     * @param {number} submersion - Fraction of the capybara under water, 0 to 1
+     */
+    update: function(deltaTime, speed, submersion) {
+      stateTime += deltaTime;
+      const nextState = chooseState(speed, submersion);
+      if (nextState !== currentState && stateTime >= settings.minStateTime) {
+        currentState = nextState;
+        stateTime = 0;
+      }
+
+      // Fade every action towards full weight if it's playing the state,
+      // and towards zero otherwise
+      const playing = playableState(currentState);
+      const fadeStep = deltaTime / settings.blendDuration;
+      for (const [name, entry] of Object.entries(actions)) {
+        const target = name === playing ? 1 : 0;
+        entry.weight += THREE.MathUtils.clamp(target - entry.weight, -fadeStep, fadeStep);
+        entry.action.setEffectiveWeight(entry.weight);
+
+        // Paddle and walk cycles keep pace with the capybara
+        if (entry.state.speedScaled) {
+          entry.action.setEffectiveTimeScale(
+            THREE.MathUtils.clamp(speed / settings.referenceSpeed, 0.5, 2.0)
+          );
+        }
+      }
+
+      mixer.update(deltaTime);
+    },
+
+    // Stop all clips and release the mixer's cached bindings
+    dispose: function() {
+      mixer.stopAllAction();
+      mixer.uncacheRoot(model);
+    }
+  };
+}
+
+// Export parameters for use elsewhere
+export { capybaraModelParams, capybaraAnimationStates };
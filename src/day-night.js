@@ -0,0 +1,238 @@
+/**
+ * Day/Night Cycle
+ *
+ * This file keeps the time of day and lights the scene from it. A
+ * physically based sky dome (the Preetham model from three.js) follows the
+ * sun, a moon rises opposite it, and whichever is up drives the directional
+ * light, the ambient light and the shared sun direction and color that the
+ * water's highlights and the underwater caustics read - so the glint on the
+ * water always matches the light on the islands.
+ */
+
+import * as THREE from 'three';
+import { Sky } from 'three/examples/jsm/objects/Sky.js';
+
+// Default day/night parameters
+const dayNightParams = {
+  timeOfDay: 10,          // Starting hour, 0-24
+  speed: 2.4,             // In-game minutes per simulated second (a day every 10 minutes)
+  sunTilt: 30,            // Degrees the sun's path leans from overhead; noon elevation is 90 - tilt
+
+  // Light from the sun and moon
+  sunIntensity: 1.0,
+  moonIntensity: 0.15,
+  noonColor: new THREE.Color(0xfff6e8),
+  sunsetColor: new THREE.Color(0xff9a50),
+  moonColor: new THREE.Color(0x9fb4d8),
+  dayAmbient: new THREE.Color(0x404040),
+  nightAmbient: new THREE.Color(0x0c1222),
+
+  // Sky dome
+  turbidity: 2,           // Haze; clouds raise it towards overcastTurbidity
+  rayleigh: 1,            // Blue scattering
+  mieCoefficient: 0.005,
+  mieDirectionalG: 0.8,
+  overcastTurbidity: 12,
+  moonSize: 12,           // Radius of the moon disc
+  moonDistance: 400       // Distance of the moon disc from the camera
+};
+
+/**
+ * Makes a three.js Sky greyable and dimmable, for overcast weather
+ * @param {THREE.ShaderMaterial} material - The material of a three.js Sky
+ */
+function applyOvercastToSky(material) {
+  const output = 'gl_FragColor = vec4( retColor, 1.0 );';
+
+  if (!material.fragmentShader.includes(output)) {
+    console.warn('Sky shader layout not recognised - overcast not applied');
+    return;
+  }
+
+  material.uniforms.skyOvercast = { value: 0 };
+  material.uniforms.skyBrightness = { value: 1 };
+  material.fragmentShader = material.fragmentShader
+    .replace('void main() {', `uniform float skyOvercast;
+		uniform float skyBrightness;
+
+		void main() {`)
+    .replace(output, `vec3 overcastColor = vec3( dot( retColor, vec3( 0.299, 0.587, 0.114 ) ) );
+			gl_FragColor = vec4( mix( retColor, overcastColor, skyOvercast ) * skyBrightness, 1.0 );`);
+}
+
+/**
+ * Formats an hour of the day as a 24-hour clock
+ * @param {number} hours - Hour of the day, 0-24
+ * @returns {string} The time as hh:mm
+ */
+function formatClock(hours) {
+  const minutes = Math.floor(hours * 60) % (24 * 60);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+/**
+ * Creates the day/night cycle, adding the sky, moon and lights to the scene
+ * @param {THREE.Scene} scene - The scene to light
+ * @param {Object} params - Optional parameters to override defaults
+ * @returns {Object} The day/night object
+ */
+export function createDayNight(scene, params = {}) {
+  // Merge provided params with defaults
+  const settings = { ...dayNightParams, ...params };
+
+  // Direction towards the light that's up (the sun by day, the moon by
+  // night) and its color; shared by reference with the water and caustics
+  const sunDirection = new THREE.Vector3();
+  const sunColor = new THREE.Color();
+
+  // Where the sun and moon actually are
+  const sunPosition = new THREE.Vector3();
+  const moonPosition = new THREE.Vector3();
+
+  // The sky covers the whole background, drawn at the far plane
+  const sky = new Sky();
+  sky.scale.setScalar(1000);
+  applyOvercastToSky(sky.material);
+  scene.add(sky);
+
+  const moon = new THREE.Mesh(
+    new THREE.SphereGeometry(settings.moonSize, 16, 8),
+    new THREE.MeshBasicMaterial({ color: 0xe8eef8 })
+  );
+  scene.add(moon);
+
+  const directionalLight = new THREE.DirectionalLight(0xffffff, 1);
+  const ambientLight = new THREE.AmbientLight(0x404040);
+  scene.add(directionalLight, ambientLight);
+
+  // Readable clock for the GUI
+  const display = { clock: formatClock(settings.timeOfDay) };
+
+  // Place the sun on its daily arc: rising in +X at 6:00, highest at noon
+  // and setting in -X at 18:00; the moon is full, opposite the sun
+  function updateCelestialPositions() {
+    const hourAngle = (settings.timeOfDay - 12) / 24 * Math.PI * 2;
+    const tilt = THREE.MathUtils.degToRad(settings.sunTilt);
+    sunPosition.set(
+      -Math.sin(hourAngle),
+      Math.cos(hourAngle) * Math.cos(tilt),
+      Math.cos(hourAngle) * Math.sin(tilt)
+    );
+    moonPosition.copy(sunPosition).negate();
+  }
+
+  // Light the scene from the sun or moon, dimmed by cloud
+  function updateLighting(cloudCover, lightFactor) {
+    const sunHeight = sunPosition.y;
+
+    // Each light fades out as it nears the horizon, so the switch from sun
+    // to moon happens in the dark
+    const sunUp = THREE.MathUtils.smoothstep(sunHeight, 0, 0.15);
+    const moonUp = THREE.MathUtils.smoothstep(-sunHeight, 0, 0.15);
+    const twilight = THREE.MathUtils.smoothstep(sunHeight, -0.2, 0.2);
+
+    if (sunHeight >= 0) {
+      sunDirection.copy(sunPosition);
+      sunColor.lerpColors(settings.sunsetColor, settings.noonColor, THREE.MathUtils.smoothstep(sunHeight, 0, 0.5))
+        .multiplyScalar(sunUp * settings.sunIntensity);
+    } else {
+      sunDirection.copy(moonPosition);
+      sunColor.copy(settings.moonColor).multiplyScalar(moonUp * settings.moonIntensity);
+    }
+    sunColor.multiplyScalar(lightFactor);
+
+    directionalLight.position.copy(sunDirection);
+    directionalLight.color.copy(sunColor);
+    directionalLight.intensity = 1;
+    ambientLight.color.lerpColors(settings.nightAmbient, settings.dayAmbient, twilight);
+    ambientLight.intensity = lightFactor;
+
+    const uniforms = sky.material.uniforms;
+    uniforms.sunPosition.value.copy(sunPosition);
+    uniforms.turbidity.value = THREE.MathUtils.lerp(settings.turbidity, settings.overcastTurbidity, cloudCover);
+    uniforms.rayleigh.value = settings.rayleigh;
+    uniforms.mieCoefficient.value = settings.mieCoefficient;
+    uniforms.mieDirectionalG.value = settings.mieDirectionalG;
+    if (uniforms.skyOvercast) {
+      uniforms.skyOvercast.value = cloudCover;
+      uniforms.skyBrightness.value = lightFactor;
+    }
+
+    // Clouds hide the moon
+    moon.material.color.setScalar(0.9 * (1 - cloudCover));
+  }
+
+  updateCelestialPositions();
+  updateLighting(0, 1);
+
+  return {
+    settings,
+    display,
+    sky,
+    moon,
+    directionalLight,
+    ambientLight,
+
+    // Direction towards the sun by day and the moon by night (shared)
+    sunDirection,
+
+    // Color and strength of that light, 1 at a clear noon (shared)
+    sunColor,
+
+    // Whether the sun is above the horizon
+    get isDay() {
+      return sunPosition.y >= 0;
+    },
+
+    /**
+     * Advances the clock and relights the scene
+     * @param {number} deltaTime - Simulated time since the last frame in seconds
+     * @param {THREE.Camera} camera - Camera the sky and moon are centred on
+     * @param {number} cloudCover - How overcast the sky is, 0-1
+     * @param {number} lightFactor - Multiplier for the light getting through the clouds
+     */
+    update: function(deltaTime, camera, cloudCover = 0, lightFactor = 1) {
+      settings.timeOfDay = THREE.MathUtils.euclideanModulo(settings.timeOfDay + settings.speed * deltaTime / 60, 24);
+      display.clock = formatClock(settings.timeOfDay);
+
+      updateCelestialPositions();
+      updateLighting(cloudCover, lightFactor);
+
+      // The sky and moon stay at their distance however far the camera goes
+      sky.position.copy(camera.position);
+      moon.position.copy(camera.position).addScaledVector(moonPosition, settings.moonDistance);
+      moon.visible = moonPosition.y > -0.05;
+    },
+
+    // Remove the sky, moon and lights
+    dispose: function() {
+      scene.remove(sky, moon, directionalLight, ambientLight);
+      sky.geometry.dispose();
+      sky.material.dispose();
+      moon.geometry.dispose();
+      moon.material.dispose();
+    }
+  };
+}
+
+/**
+ * Adds a Time of Day folder to a GUI
+ * @param {GUI} gui - The GUI to extend
+ * @param {Object} dayNight - Day/night cycle from createDayNight
+ * @returns {GUI} The new folder
+ */
+export function createDayNightControls(gui, dayNight) {
+  const { settings, display } = dayNight;
+  const folder = gui.addFolder('Time of Day');
+
+  folder.add(display, 'clock').name('Clock').disable().listen();
+  folder.add(settings, 'timeOfDay', 0, 24, 0.05).name('Hour').listen();
+  folder.add(settings, 'speed', 0, 60, 0.1).name('Speed (min/s)');
+  folder.add(settings, 'sunTilt', 0, 80, 1).name('Sun Tilt');
+
+  return folder;
+}
+
+// Export parameters for use elsewhere
+export { dayNightParams };
@@ -0,0 +1,258 @@
+/**
+ * Water Flow Field
+ *
+ * This file describes how the water moves sideways: uniform currents,
+ * whirlpools and streams running between islands. The same velocity field
+ * is evaluated on the CPU (so the physics drags floating bodies along it)
+ * and in GLSL (so the water's normal map drifts with it), and what you see
+ * moving on the surface is what carries the capybara.
+ */
+
+import * as THREE from 'three';
+
+// Default flow field parameters
+const flowFieldParams = {
+  maxFlows: 8,            // Flows the shaders can draw at once
+  cycle: 4.0,             // Seconds before the advected normal map restarts
+  curlSpacing: 0.5        // Sample spacing used to measure the flow's swirl
+};
+
+// Flow types, in the order of their shader type codes, with the defaults
+// filled in for optional fields
+const flowTypes = {
+  // Constant drift, everywhere or within `radius` of `position`
+  current: { position: [0, 0], radius: 0 },
+  // Swirl around `position`, fastest at `radius`; positive `strength`
+  // turns +X towards +Z, and `pull` drags inwards
+  whirlpool: { pull: 0.2 },
+  // Channel of flowing water from `from` to `to`
+  stream: {}
+};
+
+const flowTypeCodes = Object.keys(flowTypes);
+
+/**
+ * Generates GLSL declaring the flow uniforms and helpers matching the CPU
+ * evaluation in createFlowField
+ * @param {number} maxFlows - Size of the flow uniform arrays
+ * @returns {string} GLSL source usable in vertex and fragment shaders
+ */
+export function generateFlowGLSL(maxFlows = flowFieldParams.maxFlows) {
+  return `
+#define MAX_FLOWS ${maxFlows}
+
+uniform int flowCount;
+uniform vec4 flowShape[ MAX_FLOWS ];  // type, x, z, radius or width
+uniform vec4 flowMotion[ MAX_FLOWS ]; // direction or end point xz, speed, pull
+uniform float flowTime;
+uniform float flowCycle;
+
+// Horizontal water velocity at world-space position p
+vec2 flowVelocity( vec2 p ) {
+    vec2 velocity = vec2( 0.0 );
+    for ( int i = 0; i < MAX_FLOWS; i++ ) {
+        if ( i >= flowCount ) break;
+        vec4 shape = flowShape[ i ];
+        vec4 motion = flowMotion[ i ];
+        vec2 offset = p - shape.yz;
+
+        if ( shape.x < 0.5 ) {
+            // Current
+            float falloff = shape.w > 0.0 ? 1.0 - smoothstep( shape.w * 0.5, shape.w, length( offset ) ) : 1.0;
+            velocity += motion.xy * motion.z * falloff;
+        } else if ( shape.x < 1.5 ) {
+            // Whirlpool: speed rises to the radius and fades beyond it
+            float profile = exp( 1.0 - length( offset ) / shape.w ) / shape.w;
+            velocity += ( vec2( -offset.y, offset.x ) * motion.z - offset * motion.w ) * profile;
+        } else {
+            // Stream along the segment to the end point
+            vec2 along = motion.xy - shape.yz;
+            float lengthSq = max( dot( along, along ), 1e-6 );
+            float t = clamp( dot( offset, along ) / lengthSq, 0.0, 1.0 );
+            float fromAxis = length( offset - along * t );
+            float falloff = 1.0 - smoothstep( shape.w * 0.25, shape.w * 0.5, fromAxis );
+            velocity += along * inversesqrt( lengthSq ) * motion.z * falloff;
+        }
+    }
+    return velocity;
+}
+
+// World-space offsets for sampling a texture carried along by the flow.
+// Each offset restarts every flowCycle seconds, half a cycle apart, and
+// the returned weight of offsetB cross-fades between them to hide the jump.
+float flowOffsets( vec2 p, out vec2 offsetA, out vec2 offsetB ) {
+    vec2 velocity = flowVelocity( p );
+    float phaseA = fract( flowTime / flowCycle );
+    float phaseB = fract( flowTime / flowCycle + 0.5 );
+    offsetA = velocity * phaseA * flowCycle;
+    offsetB = velocity * phaseB * flowCycle;
+    return abs( 1.0 - 2.0 * phaseA );
+}
+`;
+}
+
+/**
+ * Creates flow uniforms for materials that have no flow field
+ * @param {number} maxFlows - Size of the flow uniform arrays
+ * @returns {Object} Uniforms describing still water
+ */
+export function createEmptyFlowUniforms(maxFlows = flowFieldParams.maxFlows) {
+  return {
+    flowCount: { value: 0 },
+    flowShape: { value: Array.from({ length: maxFlows }, () => new THREE.Vector4()) },
+    flowMotion: { value: Array.from({ length: maxFlows }, () => new THREE.Vector4()) },
+    flowTime: { value: 0 },
+    flowCycle: { value: flowFieldParams.cycle }
+  };
+}
+
+/**
+ * Creates a flow field
+ * @param {Object[]} flows - Flows as described in a level file
+ * @param {Object} params - Optional parameters to override defaults
+ * @returns {Object} The flow field object
+ */
+export function createFlowField(flows = [], params = {}) {
+  // Merge provided params with defaults
+  const settings = { ...flowFieldParams, ...params };
+
+  const uniforms = createEmptyFlowUniforms(settings.maxFlows);
+  uniforms.flowCycle.value = settings.cycle;
+
+  // Flows in the same packed form the shaders read
+  let packed = [];
+
+  function setFlows(newFlows) {
+    if (newFlows.length > settings.maxFlows) {
+      console.warn(`Only the first ${settings.maxFlows} of ${newFlows.length} flows are used`);
+    }
+
+    packed = newFlows.slice(0, settings.maxFlows).map((flow, i) => {
+      const entry = { ...flowTypes[flow.type], ...flow };
+      const code = flowTypeCodes.indexOf(entry.type);
+      const shape = uniforms.flowShape.value[i];
+      const motion = uniforms.flowMotion.value[i];
+
+      if (entry.type === 'current') {
+        const direction = new THREE.Vector2(...entry.direction).normalize();
+        shape.set(code, entry.position[0], entry.position[1], entry.radius);
+        motion.set(direction.x, direction.y, entry.speed, 0);
+      } else if (entry.type === 'whirlpool') {
+        shape.set(code, entry.position[0], entry.position[1], entry.radius);
+        motion.set(0, 0, entry.strength, entry.pull);
+      } else {
+        shape.set(code, entry.from[0], entry.from[1], entry.width);
+        motion.set(entry.to[0], entry.to[1], entry.speed, 0);
+      }
+      return { shape, motion };
+    });
+    uniforms.flowCount.value = packed.length;
+  }
+
+  /**
+   * Horizontal water velocity at a world position
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   * @param {THREE.Vector2} target - Receives the velocity (x, z)
+   * @returns {THREE.Vector2} The velocity
+   */
+  function getVelocity(x, z, target = new THREE.Vector2()) {
+    target.set(0, 0);
+    for (const { shape, motion } of packed) {
+      const offsetX = x - shape.y;
+      const offsetZ = z - shape.z;
+
+      if (shape.x === 0) {
+        const falloff = shape.w > 0 ?
+          1 - THREE.MathUtils.smoothstep(Math.hypot(offsetX, offsetZ), shape.w * 0.5, shape.w) : 1;
+        target.x += motion.x * motion.z * falloff;
+        target.y += motion.y * motion.z * falloff;
+      } else if (shape.x === 1) {
+        const profile = Math.exp(1 - Math.hypot(offsetX, offsetZ) / shape.w) / shape.w;
+        target.x += (-offsetZ * motion.z - offsetX * motion.w) * profile;
+        target.y += (offsetX * motion.z - offsetZ * motion.w) * profile;
+      } else {
+        const alongX = motion.x - shape.y;
+        const alongZ = motion.y - shape.z;
+        const lengthSq = Math.max(alongX * alongX + alongZ * alongZ, 1e-6);
+        const t = THREE.MathUtils.clamp((offsetX * alongX + offsetZ * alongZ) / lengthSq, 0, 1);
+        const fromAxis = Math.hypot(offsetX - alongX * t, offsetZ - alongZ * t);
+        const falloff = 1 - THREE.MathUtils.smoothstep(fromAxis, shape.w * 0.25, shape.w * 0.5);
+        const scale = motion.z * falloff / Math.sqrt(lengthSq);
+        target.x += alongX * scale;
+        target.y += alongZ * scale;
+      }
+    }
+    return target;
+  }
+
+  // Scratch vectors for the curl
+  const left = new THREE.Vector2();
+  const right = new THREE.Vector2();
+  const back = new THREE.Vector2();
+  const front = new THREE.Vector2();
+
+  /**
+   * Swirl of the flow at a world position; water there spins about the
+   * vertical at half this rate
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   * @returns {number} Curl about +Y in radians per second (right-handed)
+   */
+  function getCurl(x, z) {
+    const h = settings.curlSpacing;
+    getVelocity(x - h, z, left);
+    getVelocity(x + h, z, right);
+    getVelocity(x, z - h, back);
+    getVelocity(x, z + h, front);
+    // Rotation about +Y: d(vx)/dz - d(vz)/dx
+    return ((front.x - back.x) - (right.y - left.y)) / (2 * h);
+  }
+
+  setFlows(flows);
+
+  return {
+    settings,
+    uniforms,
+    getVelocity,
+    getCurl,
+    setFlows,
+
+    // Whether any flow is set, so still ponds can skip the work
+    get hasFlows() {
+      return packed.length > 0;
+    }
+  };
+}
+
+/**
+ * Makes a three.js Water material's normal map drift with a flow field
+ * @param {THREE.ShaderMaterial} material - The material of a three.js Water
+ * @param {Object} flowField - Flow field from createFlowField
+ */
+export function applyFlowFieldToWater(material, flowField) {
+  const noise = 'vec4 noise = getNoise( worldPosition.xz * size );';
+
+  if (!material.fragmentShader.includes(noise)) {
+    console.warn('Water shader layout not recognised - flow not applied');
+    return;
+  }
+
+  Object.assign(material.uniforms, flowField.uniforms);
+
+  material.fragmentShader = material.fragmentShader
+    .replace('void main() {', `${generateFlowGLSL(flowField.settings.maxFlows)}
+void main() {`)
+    .replace(noise, `vec2 flowOffsetA, flowOffsetB;
+					float flowBlend = flowOffsets( worldPosition.xz, flowOffsetA, flowOffsetB );
+					vec4 noise = mix(
+						getNoise( ( worldPosition.xz - flowOffsetA ) * size ),
+						getNoise( ( worldPosition.xz - flowOffsetB ) * size ),
+						flowBlend
+					);`);
+
+  material.needsUpdate = true;
+}
+
+// Export parameters for use elsewhere
+export { flowFieldParams, flowTypes };
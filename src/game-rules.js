@@ -0,0 +1,269 @@
+/**
+ * Game Rules
+ *
+ * This file runs a round of the game on top of a level: floating oranges
+ * to collect, objectives such as visiting every island, a score and an
+ * optional time limit. Pickups and island visits are detected with Rapier
+ * sensor colliders touching the player's body, and collected oranges stack
+ * up on the capybara's head.
+ */
+
+import * as THREE from 'three';
+import RAPIER from '@dimforge/rapier3d-compat';
+
+// Default round parameters
+const gameRulesParams = {
+  pickupRadius: 0.6,        // Reach of a collectible's pickup sensor
+  islandPoints: 25,         // Score for each island visited
+  islandReach: 0.7,         // Fraction of an island's radius that counts as being on it
+  timeBonus: 1,             // Score per second left when a timed round is completed
+  headOffset: [0.9, 0.7, 0], // Top of the capybara's head, in its local frame
+  maxStack: 12              // Collected oranges drawn on the head
+};
+
+// Collectibles a level can place, with their defaults
+const collectibleTypes = {
+  orange: { points: 10 }
+};
+
+// Objectives a level can set
+const objectiveTypes = ['collect', 'visitIslands'];
+
+/**
+ * Lists where a level's islands are, from its terrain and hand-placed islands
+ * @param {Object} level - Level from parseLevel
+ * @returns {Object[]} Islands as { x, z, radius, top }
+ */
+export function getIslandAreas(level) {
+  const waterLevel = level.water.level;
+  const terrainIslands = (level.terrain ? level.terrain.islands : []).map((island) => ({
+    x: island.position[0],
+    z: island.position[1],
+    radius: island.radius,
+    top: waterLevel + island.height
+  }));
+  const placedIslands = level.islands.map((island) => ({
+    x: island.position[0],
+    z: island.position[2],
+    radius: island.radiusTop,
+    top: island.position[1] + island.height / 2
+  }));
+  return [...terrainIslands, ...placedIslands];
+}
+
+/**
+ * Creates a round of the game for a level
+ * @param {Object} level - Level from parseLevel, with collectibles, objectives and timeLimit
+ * @param {RAPIER.World} world - World to add the sensors to
+ * @param {Object} options - Round options
+ * @param {Object} options.propSpawner - Spawner the collectibles float as props from
+ * @param {RAPIER.RigidBody} options.playerBody - Body that picks things up
+ * @param {THREE.Object3D} options.playerMesh - Object collected oranges stack on
+ * @param {Function} options.onSpawn - Called with each collectible's { mesh, body } as it appears
+ * @param {Function} options.onRemove - Called with each collectible's { mesh, body } as it goes
+ * @param {Function} options.applyCaustics - Called with each orange stacked on the player to show caustics on it
+ * @param {Object} options.params - Optional parameters to override defaults
+ * @returns {Object} The round object
+ */
+export function createGameRound(level, world, options = {}) {
+  const {
+    propSpawner, playerBody, playerMesh,
+    onSpawn = () => {}, onRemove = () => {}, applyCaustics = () => {},
+    params = {}
+  } = options;
+
+  // Merge provided params with defaults
+  const settings = { ...gameRulesParams, ...params };
+
+  // Round progress, reset by restart()
+  let state = 'playing';    // 'playing', 'complete' or 'timeUp'
+  let score = 0;
+  let elapsed = 0;
+  let collectibles = [];
+  const visited = new Set();
+
+  // Sensors marking where each island can be visited
+  const islands = getIslandAreas(level).map((island) => {
+    const bottom = level.water.level - 1;
+    const halfHeight = (island.top - bottom) / 2 + 1;
+    const body = world.createRigidBody(
+      RAPIER.RigidBodyDesc.fixed().setTranslation(island.x, bottom + halfHeight, island.z)
+    );
+    const sensor = world.createCollider(
+      RAPIER.ColliderDesc.cylinder(halfHeight, island.radius * settings.islandReach).setSensor(true),
+      body
+    );
+    return { ...island, body, sensor };
+  });
+
+  // Oranges balanced on the capybara's head
+  const stack = new THREE.Group();
+  stack.position.fromArray(settings.headOffset);
+  playerMesh.add(stack);
+
+  // Objectives the level sets, or collecting everything and visiting every
+  // island when it doesn't say
+  const objectiveList = level.objectives || [
+    ...(level.collectibles.length > 0 ? [{ type: 'collect' }] : []),
+    ...(islands.length > 0 ? [{ type: 'visitIslands' }] : [])
+  ];
+
+  // Whether a sensor is touching the player
+  function touchesPlayer(sensor) {
+    let touching = false;
+    world.intersectionsWith(sensor, (other) => {
+      if (other.parent() && other.parent().handle === playerBody.handle) touching = true;
+    });
+    return touching;
+  }
+
+  function spawnCollectibles() {
+    collectibles = level.collectibles.map((collectible) => {
+      const prop = propSpawner.spawnProp({ type: collectible.type, position: collectible.position });
+      const sensor = world.createCollider(
+        RAPIER.ColliderDesc.ball(settings.pickupRadius).setSensor(true).setDensity(0),
+        prop.body
+      );
+      onSpawn(prop);
+      return { prop, sensor, points: collectible.points };
+    });
+  }
+
+  function removeCollectible(entry) {
+    collectibles = collectibles.filter((other) => other !== entry);
+    onRemove(entry.prop);
+    propSpawner.removeProp(entry.prop);
+  }
+
+  // Balance a collected orange on top of the others
+  function stackOnHead({ mesh }) {
+    if (stack.children.length >= settings.maxStack) return;
+    const size = mesh.geometry.parameters.radius;
+    const orange = new THREE.Mesh(mesh.geometry.clone(), mesh.material.clone());
+    orange.position.y = size * (1 + 2 * stack.children.length);
+    stack.add(orange);
+    applyCaustics(orange);
+  }
+
+  function clearStack() {
+    for (const orange of [...stack.children]) {
+      stack.remove(orange);
+      orange.geometry.dispose();
+      orange.material.dispose();
+    }
+  }
+
+  /**
+   * Progress towards one objective
+   * @param {Object} objective - Objective from the level
+   * @returns {Object} { label, current, target, done }
+   */
+  function getProgress(objective) {
+    if (objective.type === 'collect') {
+      const target = objective.count || level.collectibles.length;
+      const current = Math.min(target, level.collectibles.length - collectibles.length);
+      return { label: 'Collect the oranges', current, target, done: current >= target };
+    }
+    const target = islands.length;
+    return { label: 'Visit every island', current: visited.size, target, done: visited.size >= target };
+  }
+
+  function getObjectives() {
+    return objectiveList.map(getProgress);
+  }
+
+  function finish(result) {
+    state = result;
+    if (result === 'complete' && level.timeLimit > 0) {
+      score += Math.round((level.timeLimit - elapsed) * settings.timeBonus);
+    }
+  }
+
+  spawnCollectibles();
+
+  return {
+    settings,
+
+    // 'playing', 'complete' or 'timeUp'
+    get state() {
+      return state;
+    },
+
+    get score() {
+      return score;
+    },
+
+    // Seconds played this round
+    get elapsed() {
+      return elapsed;
+    },
+
+    // Seconds left, or null without a time limit
+    get timeLeft() {
+      return level.timeLimit > 0 ? Math.max(0, level.timeLimit - elapsed) : null;
+    },
+
+    // Progress of each objective as { label, current, target, done }
+    get objectives() {
+      return getObjectives();
+    },
+
+    /**
+     * Checks pickups, island visits, the timer and the objectives
+     * @param {number} deltaTime - Simulated time since the last frame in seconds
+     */
+    update: function(deltaTime) {
+      if (state !== 'playing') return;
+      elapsed += deltaTime;
+
+      for (const entry of [...collectibles]) {
+        if (!touchesPlayer(entry.sensor)) continue;
+        score += entry.points;
+        stackOnHead(entry.prop);
+        removeCollectible(entry);
+      }
+
+      islands.forEach((island, index) => {
+        if (visited.has(index) || !touchesPlayer(island.sensor)) return;
+        visited.add(index);
+        score += settings.islandPoints;
+      });
+
+      const objectives = getObjectives();
+      if (objectives.length > 0 && objectives.every((objective) => objective.done)) {
+        finish('complete');
+      } else if (level.timeLimit > 0 && elapsed >= level.timeLimit) {
+        finish('timeUp');
+      }
+    },
+
+    // Start the round again, with the player back at the spawn point
+    restart: function() {
+      for (const entry of [...collectibles]) removeCollectible(entry);
+      clearStack();
+      visited.clear();
+      score = 0;
+      elapsed = 0;
+      state = 'playing';
+      spawnCollectibles();
+
+      const [x, y, z] = level.spawn.position;
+      const rotation = new THREE.Quaternion().setFromAxisAngle(THREE.Object3D.DEFAULT_UP, level.spawn.heading);
+      playerBody.setTranslation({ x, y, z }, true);
+      playerBody.setRotation(rotation, true);
+      playerBody.setLinvel({ x: 0, y: 0, z: 0 }, true);
+      playerBody.setAngvel({ x: 0, y: 0, z: 0 }, true);
+    },
+
+    // Remove the collectibles and sensors
+    dispose: function() {
+      for (const entry of [...collectibles]) removeCollectible(entry);
+      clearStack();
+      playerMesh.remove(stack);
+      for (const island of islands) world.removeRigidBody(island.body);
+    }
+  };
+}
+
+// Export parameters for use elsewhere
+export { gameRulesParams, collectibleTypes, objectiveTypes };
@@ -0,0 +1,85 @@
+/**
+ * Score HUD
+ *
+ * This file shows a round's score, clock and objectives over the game, and
+ * the screen that ends a round with a button to play again. It only reads
+ * the round from game-rules.js, and touches the page only when something
+ * it shows has changed.
+ */
+
+/**
+ * Formats seconds as m:ss
+ * @param {number} seconds - Time in seconds
+ * @returns {string} The formatted time
+ */
+function formatTime(seconds) {
+  const whole = Math.ceil(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Creates the HUD from the page's #hud and #round-screen elements
+ * @param {HTMLElement} element - Element holding the score, timer and objectives
+ * @param {HTMLElement} roundScreen - Element shown when a round ends
+ * @returns {Object} The HUD object
+ */
+export function createHud(element = document.getElementById('hud'), roundScreen = document.getElementById('round-screen')) {
+  const scoreValue = element.querySelector('.hud-score-value');
+  const timer = element.querySelector('.hud-timer');
+  const objectiveList = element.querySelector('.hud-objectives');
+  const title = roundScreen.querySelector('.round-title');
+  const summary = roundScreen.querySelector('.round-summary');
+  const restartButton = roundScreen.querySelector('.round-restart');
+
+  // What's on screen, so unchanged text isn't rewritten every frame
+  let shown = {};
+
+  function setText(key, node, text) {
+    if (shown[key] === text) return;
+    shown[key] = text;
+    node.textContent = text;
+  }
+
+  function showObjectives(objectives) {
+    const key = JSON.stringify(objectives);
+    if (shown.objectives === key) return;
+    shown.objectives = key;
+
+    objectiveList.replaceChildren(...objectives.map(({ label, current, target, done }) => {
+      const item = document.createElement('li');
+      item.textContent = `${label} (${current}/${target})`;
+      item.classList.toggle('done', done);
+      return item;
+    }));
+  }
+
+  return {
+    /**
+     * Shows a round's progress; call every frame
+     * @param {Object} round - Round from createGameRound
+     */
+    update: function(round) {
+      setText('score', scoreValue, String(round.score));
+      const timeLeft = round.timeLeft;
+      setText('timer', timer, timeLeft === null ? formatTime(round.elapsed) : `${formatTime(timeLeft)} left`);
+      showObjectives(round.objectives);
+    },
+
+    /**
+     * Shows the end of a round with a button to play again
+     * @param {Object} round - Round from createGameRound
+     * @param {Function} onRestart - Called when the player restarts
+     */
+    showRoundEnd: function(round, onRestart) {
+      const complete = round.state === 'complete';
+      title.textContent = complete ? 'Round complete!' : 'Time\'s up!';
+      summary.textContent = `Score: ${round.score}\nTime: ${formatTime(round.elapsed)}`;
+      roundScreen.hidden = false;
+      restartButton.onclick = () => {
+        roundScreen.hidden = true;
+        shown = {};
+        onRestart();
+      };
+    }
+  };
+}
@@ -0,0 +1,24 @@
+/**
+ * Keyboard Input
+ *
+ * This file holds what the game's keyboard shortcuts share. They listen on
+ * the whole window, so they also hear keys typed into the controls panel's
+ * text fields, which shouldn't steer the capybara or pause the game.
+ */
+
+// Input types that don't take typed text, so shortcuts still work while
+// one of them has focus
+const nonTextInputTypes = ['checkbox', 'radio', 'button', 'range', 'color'];
+
+/**
+ * Whether a key event was typed into an editable element
+ * @param {KeyboardEvent} event - The key event
+ * @returns {boolean} True for text inputs, text areas, selects and editable content
+ */
+export function isTypingEvent(event) {
+  const target = event.target;
+  if (!target) return false;
+  if (target.isContentEditable) return true;
+  if (target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+  return target.tagName === 'INPUT' && !nonTextInputTypes.includes(target.type);
+}
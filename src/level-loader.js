@@ -0,0 +1,454 @@
+/**
+ * Level Loader
+ *
+ * This file reads pond levels described in JSON (water bounds and level,
+ * procedural terrain, islands, vegetation, the capybara spawn point,
+ * props, water currents, wildlife, and the collectibles, objectives and
+ * time limit of a round), checks them against the level format, and builds the
+ * matching meshes and Rapier colliders. Levels live in public/levels/ so
+ * they can be authored and versioned without touching the code.
+ */
+
+import * as THREE from 'three';
+import RAPIER from '@dimforge/rapier3d-compat';
+import { createTerrain, terrainParams } from './terrain.js';
+import { createVegetation } from './vegetation.js';
+import { createRandom, randomRange } from './random.js';
+import { flowTypes } from './flow-field.js';
+import { createPropSpawner, propTypes } from './props.js';
+import { collectibleTypes, objectiveTypes } from './game-rules.js';
+import { speciesTypes } from './wildlife.js';
+import { waterSettingsSchema } from './water-settings.js';
+
+// Current version of the level format
+const LEVEL_FORMAT_VERSION = 1;
+
+// Defaults filled in for optional level fields
+const levelDefaults = {
+  water: { level: 0, center: [0, 0], size: [100, 100] },
+  spawn: { position: [0, 0, 0], heading: 0 },
+  terrain: { seed: 1, resolution: 128, bedDepth: 4, islands: [] },
+  island: { radiusTop: 5, radiusBottom: 7, height: 2, color: '#8b4513', sand: null },
+  sand: { color: '#f0e68c', thickness: 0.2, inset: 0.2 },
+  vegetation: { scale: 1, rotation: 0 },
+  scatter: { seed: 1, center: [0, 0], minHeight: -Infinity, maxHeight: Infinity, minScale: 0.8, maxScale: 1.2 },
+  wildlife: { seed: 1, center: [0, 0], radius: 5 }
+};
+
+// Vegetation the loader knows how to build
+const vegetationTypes = ['tree', 'reed', 'grass', 'lilyPad'];
+
+// Small checkers that record readable errors against a path in the file
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkNumber(errors, path, value, { min, max, optional = false } = {}) {
+  if (value === undefined && optional) return;
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    errors.push(`${path}: expected a number, got ${JSON.stringify(value)}`);
+  } else if (min !== undefined && value < min) {
+    errors.push(`${path}: must be at least ${min}, got ${value}`);
+  } else if (max !== undefined && value > max) {
+    errors.push(`${path}: must be at most ${max}, got ${value}`);
+  }
+}
+
+function checkVector(errors, path, value, length, { optional = false } = {}) {
+  if (value === undefined && optional) return;
+  if (!Array.isArray(value) || value.length !== length ||
+      !value.every((component) => typeof component === 'number' && Number.isFinite(component))) {
+    errors.push(`${path}: expected an array of ${length} numbers, got ${JSON.stringify(value)}`);
+  }
+}
+
+function checkColor(errors, path, value) {
+  if (value === undefined) return;
+  if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) {
+    errors.push(`${path}: expected a color like #12ab34, got ${JSON.stringify(value)}`);
+  }
+}
+
+function checkOneOf(errors, path, value, options) {
+  if (!options.includes(value)) {
+    errors.push(`${path}: expected one of ${options.map((option) => `"${option}"`).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+}
+
+function checkList(errors, path, value, checkEntry) {
+  if (value === undefined) return;
+  if (!Array.isArray(value)) {
+    errors.push(`${path}: expected a list`);
+    return;
+  }
+  value.forEach((entry, i) => {
+    const entryPath = `${path}[${i}]`;
+    if (!isObject(entry)) {
+      errors.push(`${entryPath}: expected an object`);
+      return;
+    }
+    checkEntry(entry, entryPath);
+  });
+}
+
+/**
+ * Checks a parsed level against the level format
+ * @param {Object} level - Parsed level JSON
+ * @returns {string[]} Readable error messages; empty when the level is valid
+ */
+export function validateLevel(level) {
+  const errors = [];
+  if (!isObject(level)) {
+    return ['level: expected a JSON object'];
+  }
+
+  if (level.version !== LEVEL_FORMAT_VERSION) {
+    errors.push(`version: expected ${LEVEL_FORMAT_VERSION}, got ${JSON.stringify(level.version)}`);
+  }
+  if (level.name !== undefined && typeof level.name !== 'string') {
+    errors.push('name: expected a string');
+  }
+
+  if (level.water !== undefined) {
+    if (!isObject(level.water)) {
+      errors.push('water: expected an object');
+    } else {
+      // The water settings can't hold a level outside their range
+      const { min, max } = waterSettingsSchema.waterLevel;
+      checkNumber(errors, 'water.level', level.water.level, { min, max, optional: true });
+      checkVector(errors, 'water.center', level.water.center, 2, { optional: true });
+      checkVector(errors, 'water.size', level.water.size, 2, { optional: true });
+      if (Array.isArray(level.water.size) && level.water.size.some((side) => side <= 0)) {
+        errors.push('water.size: both sides must be greater than 0');
+      }
+    }
+  }
+
+  if (level.spawn !== undefined) {
+    if (!isObject(level.spawn)) {
+      errors.push('spawn: expected an object');
+    } else {
+      checkVector(errors, 'spawn.position', level.spawn.position, 3);
+      checkNumber(errors, 'spawn.heading', level.spawn.heading, { optional: true });
+    }
+  }
+
+  if (level.terrain !== undefined) {
+    const terrain = level.terrain;
+    if (!isObject(terrain)) {
+      errors.push('terrain: expected an object');
+    } else {
+      checkNumber(errors, 'terrain.seed', terrain.seed, { optional: true });
+      checkVector(errors, 'terrain.center', terrain.center, 2, { optional: true });
+      checkVector(errors, 'terrain.size', terrain.size, 2, { optional: true });
+      checkNumber(errors, 'terrain.bedDepth', terrain.bedDepth, { min: 0, optional: true });
+      if (terrain.resolution !== undefined &&
+          (!Number.isInteger(terrain.resolution) || terrain.resolution < 2 || terrain.resolution > 512)) {
+        errors.push(`terrain.resolution: expected a whole number from 2 to 512, got ${JSON.stringify(terrain.resolution)}`);
+      }
+      checkList(errors, 'terrain.islands', terrain.islands, (island, path) => {
+        checkVector(errors, `${path}.position`, island.position, 2);
+        checkNumber(errors, `${path}.radius`, island.radius, { min: 0.5 });
+        checkNumber(errors, `${path}.height`, island.height, { min: 0 });
+      });
+    }
+  }
+
+  checkList(errors, 'islands', level.islands, (island, path) => {
+    checkOneOf(errors, `${path}.shape`, island.shape, Object.keys(islandBuilders));
+    checkVector(errors, `${path}.position`, island.position, 3);
+    checkNumber(errors, `${path}.radiusTop`, island.radiusTop, { min: 0, optional: true });
+    checkNumber(errors, `${path}.radiusBottom`, island.radiusBottom, { min: 0.1, optional: true });
+    checkNumber(errors, `${path}.height`, island.height, { min: 0.1, optional: true });
+    checkColor(errors, `${path}.color`, island.color);
+    if (island.sand !== undefined && island.sand !== null) {
+      if (!isObject(island.sand)) {
+        errors.push(`${path}.sand: expected an object or null`);
+      } else {
+        checkColor(errors, `${path}.sand.color`, island.sand.color);
+        checkNumber(errors, `${path}.sand.thickness`, island.sand.thickness, { min: 0.01, optional: true });
+      }
+    }
+  });
+
+  checkList(errors, 'vegetation', level.vegetation, (plant, path) => {
+    checkOneOf(errors, `${path}.type`, plant.type, vegetationTypes);
+    checkNumber(errors, `${path}.scale`, plant.scale, { min: 0.01, optional: true });
+    checkNumber(errors, `${path}.rotation`, plant.rotation, { optional: true });
+
+    // A single plant has a position; a patch of plants has a scatter
+    if (plant.scatter === undefined) {
+      checkVector(errors, `${path}.position`, plant.position, 3);
+    } else if (!isObject(plant.scatter)) {
+      errors.push(`${path}.scatter: expected an object`);
+    } else {
+      const scatter = plant.scatter;
+      if (!Number.isInteger(scatter.count) || scatter.count < 1 || scatter.count > 10000) {
+        errors.push(`${path}.scatter.count: expected a whole number from 1 to 10000, got ${JSON.stringify(scatter.count)}`);
+      }
+      checkNumber(errors, `${path}.scatter.radius`, scatter.radius, { min: 0 });
+      checkVector(errors, `${path}.scatter.center`, scatter.center, 2, { optional: true });
+      checkNumber(errors, `${path}.scatter.seed`, scatter.seed, { optional: true });
+      checkNumber(errors, `${path}.scatter.minHeight`, scatter.minHeight, { optional: true });
+      checkNumber(errors, `${path}.scatter.maxHeight`, scatter.maxHeight, { optional: true });
+      checkNumber(errors, `${path}.scatter.minScale`, scatter.minScale, { min: 0.01, optional: true });
+      checkNumber(errors, `${path}.scatter.maxScale`, scatter.maxScale, { min: 0.01, optional: true });
+    }
+  });
+
+  checkList(errors, 'props', level.props, (prop, path) => {
+    checkOneOf(errors, `${path}.type`, prop.type, Object.keys(propTypes));
+    checkVector(errors, `${path}.position`, prop.position, 3);
+    checkNumber(errors, `${path}.size`, prop.size, { min: 0.05, optional: true });
+    checkNumber(errors, `${path}.density`, prop.density, { min: 0.01, optional: true });
+    checkNumber(errors, `${path}.dragScale`, prop.dragScale, { min: 0, optional: true });
+    checkNumber(errors, `${path}.buoyancyScale`, prop.buoyancyScale, { min: 0, optional: true });
+    checkNumber(errors, `${path}.rotation`, prop.rotation, { optional: true });
+    checkColor(errors, `${path}.color`, prop.color);
+  });
+
+  checkList(errors, 'collectibles', level.collectibles, (collectible, path) => {
+    checkOneOf(errors, `${path}.type`, collectible.type, Object.keys(collectibleTypes));
+    checkVector(errors, `${path}.position`, collectible.position, 3);
+    checkNumber(errors, `${path}.points`, collectible.points, { optional: true });
+  });
+
+  checkList(errors, 'objectives', level.objectives, (objective, path) => {
+    checkOneOf(errors, `${path}.type`, objective.type, objectiveTypes);
+    if (objective.type === 'collect') {
+      checkNumber(errors, `${path}.count`, objective.count, { min: 1, optional: true });
+    }
+  });
+
+  checkNumber(errors, 'timeLimit', level.timeLimit, { min: 0, optional: true });
+
+  checkList(errors, 'wildlife', level.wildlife, (group, path) => {
+    checkOneOf(errors, `${path}.species`, group.species, Object.keys(speciesTypes));
+    if (!Number.isInteger(group.count) || group.count < 1 || group.count > 200) {
+      errors.push(`${path}.count: expected a whole number from 1 to 200, got ${JSON.stringify(group.count)}`);
+    }
+    checkVector(errors, `${path}.center`, group.center, 2, { optional: true });
+    checkNumber(errors, `${path}.radius`, group.radius, { min: 0, optional: true });
+    checkNumber(errors, `${path}.seed`, group.seed, { optional: true });
+  });
+
+  checkList(errors, 'flows', level.flows, (flow, path) => {
+    checkOneOf(errors, `${path}.type`, flow.type, Object.keys(flowTypes));
+    if (flow.type === 'current') {
+      checkVector(errors, `${path}.direction`, flow.direction, 2);
+      checkNumber(errors, `${path}.speed`, flow.speed);
+      checkVector(errors, `${path}.position`, flow.position, 2, { optional: true });
+      checkNumber(errors, `${path}.radius`, flow.radius, { min: 0, optional: true });
+    } else if (flow.type === 'whirlpool') {
+      checkVector(errors, `${path}.position`, flow.position, 2);
+      checkNumber(errors, `${path}.radius`, flow.radius, { min: 0.1 });
+      checkNumber(errors, `${path}.strength`, flow.strength);
+      checkNumber(errors, `${path}.pull`, flow.pull, { optional: true });
+    } else if (flow.type === 'stream') {
+      checkVector(errors, `${path}.from`, flow.from, 2);
+      checkVector(errors, `${path}.to`, flow.to, 2);
+      checkNumber(errors, `${path}.width`, flow.width, { min: 0.1 });
+      checkNumber(errors, `${path}.speed`, flow.speed);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validates a parsed level and fills in defaults
+ * @param {Object} level - Parsed level JSON
+ * @param {string} source - Where the level came from, for error messages
+ * @returns {Object} The level with every optional field filled in
+ */
+export function parseLevel(level, source = 'level') {
+  const errors = validateLevel(level);
+  if (errors.length > 0) {
+    throw new Error(`Invalid level ${source}:\n  ${errors.join('\n  ')}`);
+  }
+
+  const water = { ...levelDefaults.water, ...level.water };
+
+  return {
+    name: level.name || source,
+    version: level.version,
+    water,
+    // The terrain covers the water unless the level says otherwise
+    terrain: level.terrain ? {
+      ...terrainParams,
+      center: water.center,
+      size: water.size,
+      ...levelDefaults.terrain,
+      ...level.terrain
+    } : null,
+    spawn: { ...levelDefaults.spawn, ...level.spawn },
+    islands: (level.islands || []).map((island) => ({
+      ...levelDefaults.island,
+      ...island,
+      sand: island.sand ? { ...levelDefaults.sand, ...island.sand } : null
+    })),
+    vegetation: (level.vegetation || []).map((plant) => ({
+      ...levelDefaults.vegetation,
+      ...plant,
+      scatter: plant.scatter ? { ...levelDefaults.scatter, ...plant.scatter } : null
+    })),
+    props: (level.props || []).map((prop) => ({ ...propTypes[prop.type], ...prop })),
+    flows: (level.flows || []).map((flow) => ({ ...flowTypes[flow.type], ...flow })),
+    collectibles: (level.collectibles || []).map((collectible) => ({
+      ...collectibleTypes[collectible.type],
+      ...collectible
+    })),
+    wildlife: (level.wildlife || []).map((group) => ({ ...levelDefaults.wildlife, ...group })),
+    // Without objectives the round picks its own from what the level has
+    objectives: level.objectives || null,
+    timeLimit: level.timeLimit || 0
+  };
+}
+
+/**
+ * Fetches and validates a level file
+ * @param {string} url - URL of the level JSON
+ * @returns {Promise<Object>} The parsed level
+ */
+export async function loadLevel(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not load level ${url}: ${response.status} ${response.statusText}`);
+  }
+
+  let level;
+  try {
+    level = await response.json();
+  } catch (error) {
+    throw new Error(`Level ${url} is not valid JSON: ${error.message}`);
+  }
+  return parseLevel(level, url);
+}
+
+// Tapered cylinder island with an optional sand cap
+function buildCylinderIsland(island, scene, world) {
+  const [x, y, z] = island.position;
+  const objects = [];
+
+  const geometry = new THREE.CylinderGeometry(island.radiusTop, island.radiusBottom, island.height, 32);
+  const material = new THREE.MeshStandardMaterial({ color: island.color, roughness: 0.8 });
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.position.set(x, y, z);
+  scene.add(mesh);
+
+  // The collider follows the tapered cylinder exactly
+  const body = world.createRigidBody(RAPIER.RigidBodyDesc.fixed().setTranslation(x, y, z));
+  world.createCollider(RAPIER.ColliderDesc.convexHull(geometry.attributes.position.array), body);
+  objects.push({ mesh, body });
+
+  if (island.sand) {
+    const sandRadius = Math.max(0.1, island.radiusTop - island.sand.inset);
+    const sandY = y + island.height / 2 + island.sand.thickness / 2;
+    const sandGeometry = new THREE.CylinderGeometry(sandRadius, island.radiusTop, island.sand.thickness, 32);
+    const sandMaterial = new THREE.MeshStandardMaterial({ color: island.sand.color, roughness: 1.0 });
+    const sand = new THREE.Mesh(sandGeometry, sandMaterial);
+    sand.position.set(x, sandY, z);
+    scene.add(sand);
+
+    const sandBody = world.createRigidBody(RAPIER.RigidBodyDesc.fixed().setTranslation(x, sandY, z));
+    world.createCollider(RAPIER.ColliderDesc.cylinder(island.sand.thickness / 2, island.radiusTop), sandBody);
+    objects.push({ mesh: sand, body: sandBody });
+  }
+
+  return objects;
+}
+
+// Island builders by shape
+const islandBuilders = {
+  cylinder: buildCylinderIsland
+};
+
+// Expand a vegetation entry into individual plants standing on the ground.
+// Scattered plants land at random inside a circle, kept only where the
+// ground height (relative to the water) is within the entry's range.
+function placePlants(plant, getGroundHeight, waterLevel) {
+  if (!plant.scatter) {
+    const [x, y, z] = plant.position;
+    return [{
+      position: new THREE.Vector3(x, y + getGroundHeight(x, z), z),
+      scale: plant.scale,
+      rotation: plant.rotation
+    }];
+  }
+
+  const { seed, count, center, radius, minHeight, maxHeight, minScale, maxScale } = plant.scatter;
+  const random = createRandom(seed);
+  const plants = [];
+
+  // Give up on spots after a fixed number of tries so a narrow height
+  // band can't loop forever
+  for (let attempt = 0; attempt < count * 10 && plants.length < count; attempt++) {
+    const angle = random() * Math.PI * 2;
+    const distance = Math.sqrt(random()) * radius;
+    const x = center[0] + Math.cos(angle) * distance;
+    const z = center[1] + Math.sin(angle) * distance;
+    const ground = getGroundHeight(x, z);
+    const scale = plant.scale * randomRange(random, minScale, maxScale);
+    const rotation = random() * Math.PI * 2;
+
+    const height = ground - waterLevel;
+    if (height < minHeight || height > maxHeight) continue;
+    plants.push({ position: new THREE.Vector3(x, ground, z), scale, rotation });
+  }
+  return plants;
+}
+
+/**
+ * Builds a parsed level's meshes and colliders
+ * @param {Object} level - Level from parseLevel or loadLevel
+ * @param {THREE.Scene} scene - Scene to add meshes to
+ * @param {RAPIER.World} world - World to add colliders to
+ * @param {Object} options - Build options
+ * @param {Object} options.waveSpectrum - Spectrum the vegetation's wind and lily pads follow
+ * @param {Object} options.propSpawner - Spawner from createPropSpawner to add the props with
+ * @param {Function} options.applyCaustics - Called with each ground, island and plant mesh to show caustics on it
+ * @returns {Object} The built terrain, islands, vegetation and props
+ */
+export function buildLevel(level, scene, world, options = {}) {
+  const { applyCaustics = () => {} } = options;
+  const terrain = level.terrain ? createTerrain(level.terrain, level.water.level, scene, world) : null;
+  const islands = level.islands.flatMap((island) => islandBuilders[island.shape](island, scene, world));
+  if (terrain) applyCaustics(terrain.mesh);
+  islands.forEach(({ mesh }) => applyCaustics(mesh));
+
+  // On a terrain, vegetation heights are measured from the ground
+  const getGroundHeight = terrain ? terrain.getHeight : () => 0;
+  const vegetation = createVegetation(scene, world, { waveSpectrum: options.waveSpectrum, applyCaustics });
+  for (const plant of level.vegetation) {
+    vegetation.addPlants(plant.type, placePlants(plant, getGroundHeight, level.water.level));
+  }
+  const propSpawner = options.propSpawner || createPropSpawner(scene, world, { applyCaustics });
+  const props = level.props.map((prop) => propSpawner.spawnProp(prop));
+
+  return {
+    level,
+    terrain,
+    islands,
+    vegetation,
+    props,
+
+    // Remove everything the level added
+    dispose: function() {
+      if (terrain) terrain.dispose();
+      vegetation.dispose();
+      props.forEach(propSpawner.removeProp);
+      for (const { mesh, body } of islands) {
+        scene.remove(mesh);
+        world.removeRigidBody(body);
+        mesh.traverse((object) => {
+          if (!object.isMesh) return;
+          object.geometry.dispose();
+          object.material.dispose();
+        });
+      }
+    }
+  };
+}
+
+// Export format details for use elsewhere
+export { LEVEL_FORMAT_VERSION, levelDefaults };
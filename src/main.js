@@ -8,30 +8,156 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { Water } from 'three/examples/jsm/objects/Water.js';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import RAPIER from '@dimforge/rapier3d-compat';
 import { createWaterControls, updateWater, waterParams } from './water-controls.js';
+import { createWaterPhysics } from './water-physics.js';
+import { createCapybaraController } from './capybara-controller.js';
+import { createCapybaraPlaceholder, loadCapybaraModel, createCapybaraAnimator } from './capybara-model.js';
+import { createCameraController, createCameraControls } from './camera-controller.js';
+import { createUnderwaterEffect } from './underwater.js';
+import { loadLevel, buildLevel } from './level-loader.js';
+import { createPropSpawner, createPropControls } from './props.js';
+import { createGameRound } from './game-rules.js';
+import { createHud } from './hud.js';
+import { createWildlife } from './wildlife.js';
+import { applyWaveSpectrumToWater } from './wave-spectrum.js';
+import { applyRippleFieldToWater } from './ripple-field.js';
+import { applyFlowFieldToWater } from './flow-field.js';
+import { bindWaterMaterial } from './water-settings.js';
+import { createEnhancedWater } from './water-shaders.js';
+import { loadAssets, createLoadingScreen } from './asset-loader.js';
+import { bindWaterNormals } from './water-normals.js';
+import { createSimulationLoop, createSimulationControls } from './simulation-loop.js';
+import { createWeather, createWeatherControls } from './weather.js';
+import { createDayNight, createDayNightControls } from './day-night.js';
+import waterNormalsUrl from './assets/water-normals.png';
 
 // Global variables
 let scene, camera, renderer;
-let water, controls;
+let water, controls, gui;
+let world, waterPhysics;
+let capybaraGroup, capybaraBody, capybaraController, capybaraAnimator, cameraController;
+let underwater, level, environment, assets, simulation, weather, dayNight;
+let propSpawner, round, hud, wildlife;
 let clock = new THREE.Clock();
 
-// Physics simulation (placeholder - would be replaced with Rapier)
+// Meshes whose transforms are driven by dynamic rigid bodies
+const physicsObjects = [];
+
+// Which water implementation to render: 'enhanced' (custom shader with
+// refraction, which also draws the surface seen from below) or 'stock'
+// (three.js Water, only visible from above); override with ?water=stock
+const WATER_TYPE = new URLSearchParams(window.location.search).get('water') || 'enhanced';
+
+// Level to load from public/levels/; override with ?level=<name>
+const LEVEL_URL = `${import.meta.env.BASE_URL}levels/${new URLSearchParams(window.location.search).get('level') || 'pond'}.json`;
+
+// Animated capybara model (the placeholder is used if it fails to load)
+const CAPYBARA_MODEL_URL = `${import.meta.env.BASE_URL}models/capybara.glb`;
+
+// Everything loaded before the game starts; optional assets may fail
+// without stopping the game
+const GAME_ASSETS = {
+  physics: {
+    name: 'physics engine',
+    load: () => RAPIER.init()
+  },
+  level: {
+    name: 'level',
+    load: () => loadLevel(LEVEL_URL)
+  },
+  waterNormals: {
+    name: 'water normal map',
+    load: async (manager) => {
+      const texture = await new THREE.TextureLoader(manager).loadAsync(waterNormalsUrl);
+      texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+      return texture;
+    }
+  },
+  capybaraModel: {
+    name: 'capybara model',
+    load: (manager) => loadCapybaraModel(CAPYBARA_MODEL_URL, manager),
+    optional: true
+  }
+};
+
+const loadingScreen = createLoadingScreen();
+
+// Physics simulation backed by the Rapier world; tunables live in the
+// shared water settings
 const physics = {
-  buoyancyForce: waterParams.buoyancyForce,
-  dragCoefficient: waterParams.dragCoefficient,
-  waterLevel: waterParams.waterLevel,
-  update: function(deltaTime) {
-    // Physics update logic would go here
-    // This would be replaced with actual Rapier physics
+  // One fixed physics step, run by the simulation loop
+  step: function(stepTime, time) {
+    const waterLevel = waterParams.waterLevel;
+    
+    // Remember where each body was, to interpolate from
+    for (const object of physicsObjects) {
+      if (!object.previousPosition) {
+        object.previousPosition = new THREE.Vector3();
+        object.previousQuaternion = new THREE.Quaternion();
+      }
+      object.previousPosition.copy(object.body.translation());
+      object.previousQuaternion.copy(object.body.rotation());
+    }
+    
+    // Keep the ripple simulation centred on the player
+    const capybaraPosition = capybaraBody.translation();
+    waterPhysics.rippleField.setCenter(capybaraPosition.x, capybaraPosition.z);
+    
+    // Apply player input and the wildlife's steering, then buoyancy, drag
+    // and wave forces before stepping
+    capybaraController.update(stepTime, waterLevel, time);
+    wildlife.update(stepTime, waterLevel, time, capybaraPosition);
+    waterPhysics.update(stepTime, waterLevel, time);
+    
+    world.timestep = stepTime;
+    world.step();
+  },
+  
+  // Place meshes between the last two steps, so motion stays smooth when
+  // the frame rate and step rate differ
+  interpolate: function(alpha) {
+    for (const object of physicsObjects) {
+      const { mesh, body } = object;
+      if (!object.previousPosition) {
+        mesh.position.copy(body.translation());
+        mesh.quaternion.copy(body.rotation());
+        continue;
+      }
+      mesh.position.lerpVectors(object.previousPosition, body.translation(), alpha);
+      mesh.quaternion.slerpQuaternions(object.previousQuaternion, body.rotation(), alpha);
+    }
   }
 };
 
-// Initialize the application
+// Load every asset, then start the game; a failed load or start is shown
+// on the loading screen and can be retried
+async function start() {
+  loadingScreen.setProgress(0);
+  try {
+    assets = await loadAssets(GAME_ASSETS, loadingScreen.setProgress);
+    init();
+  } catch (error) {
+    console.error(error);
+    // A failed load can simply run again, but a failed start leaves a
+    // half-built scene behind, so retrying that reloads the page
+    loadingScreen.showError(error, assets ? () => window.location.reload() : start);
+    return;
+  }
+  
+  loadingScreen.hide();
+}
+
+// Initialize the application once its assets are loaded
 function init() {
+  level = assets.level;
+  
+  // Create the physics world
+  world = new RAPIER.World({ x: 0, y: -9.81, z: 0 });
+  waterPhysics = createWaterPhysics(world);
+  
   // Create scene
   scene = new THREE.Scene();
-  scene.background = new THREE.Color(0x87ceeb); // Sky blue
   
   // Create camera
   camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
@@ -49,23 +175,37 @@ function init() {
   controls.enableDamping = true;
   controls.dampingFactor = 0.05;
   
-  // Add lights
-  const ambientLight = new THREE.AmbientLight(0x404040);
-  scene.add(ambientLight);
-  
-  const directionalLight = new THREE.DirectionalLight(0xffffff, 1);
-  directionalLight.position.set(1, 1, 1);
-  scene.add(directionalLight);
+  // Sky, sun, moon and lights; the water and caustics share its sun
+  // direction, so their highlights match the lighting
+  dayNight = createDayNight(scene);
   
   // Create water
   createWater();
   
-  // Add environment (islands, trees)
+  // Fog, color grading and caustics once the camera dips below the surface;
+  // everything made from here on is given caustics as it's created
+  underwater = createUnderwaterEffect(scene, waterPhysics, { sunDirection: dayNight.sunDirection });
+  
+  // Add the level's islands, vegetation and props
   createEnvironment();
   
   // Add capybara character
   createCapybara();
   
+  // Oranges to collect and islands to visit
+  createRound();
+  
+  // Ducks, fish and other capybaras swimming about the pond
+  createPondWildlife();
+  
+  // Physics runs in fixed steps, with pause and slow-motion controls
+  simulation = createSimulationLoop(physics.step);
+  createSimulationControls(gui, simulation);
+  
+  // Wind that drives the waves, rain and storm clouds
+  weather = createWeather(scene, waterPhysics);
+  createWeatherControls(gui, weather);
+  
   // Handle window resize
   window.addEventListener('resize', onWindowResize);
   
@@ -75,19 +215,54 @@ function init() {
 
 // Create water surface
 function createWater() {
-  const waterGeometry = new THREE.PlaneGeometry(100, 100);
+  // Enough segments for the wave displacement to follow the physics surface
+  const [width, depth] = level.water.size;
+  const waterGeometry = new THREE.PlaneGeometry(width, depth, 128, 128);
+  
+  if (WATER_TYPE === 'enhanced') {
+    createEnhancedWaterSurface(waterGeometry);
+  } else {
+    createStockWaterSurface(waterGeometry);
+  }
+  
+  water.rotation.x = -Math.PI / 2; // Rotate to lie flat
+  water.position.x = level.water.center[0];
+  water.position.z = level.water.center[1];
+  scene.add(water);
+  
+  // Create GUI controls for water
+  gui = createWaterControls();
+  createDayNightControls(gui, dayNight);
+  
+  // The level decides where the surface sits
+  waterParams.waterLevel = level.water.level;
+}
+
+// Custom water with real reflection and refraction passes
+function createEnhancedWaterSurface(waterGeometry) {
+  water = createEnhancedWater(waterGeometry, {
+    waveSpectrum: waterPhysics.waveSpectrum,
+    rippleField: waterPhysics.rippleField,
+    flowField: waterPhysics.flowField,
+    waterNormals: assets.waterNormals,
+    sunDirection: dayNight.sunDirection
+  });
+  
+  const pixelRatio = renderer.getPixelRatio();
+  water.setSize(window.innerWidth * pixelRatio, window.innerHeight * pixelRatio);
   
-  // Create water with parameters from water-controls.js
+  // Bundled or procedural normals, as picked in the settings
+  bindWaterNormals(water, assets.waterNormals);
+}
+
+// Stock three.js Water, displaced by the physics waves
+function createStockWaterSurface(waterGeometry) {
+  // Create water with parameters from the water settings
   water = new Water(waterGeometry, {
     textureWidth: waterParams.textureWidth,
     textureHeight: waterParams.textureHeight,
-    waterNormals: new THREE.TextureLoader().load(
-      'https://raw.githubusercontent.com/mrdoob/three.js/master/examples/textures/waternormals.jpg',
-      function(texture) {
-        texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
-      }
-    ),
-    sunDirection: new THREE.Vector3(0.5, 0.5, 0),
+    waterNormals: assets.waterNormals,
+    sunDirection: dayNight.sunDirection,
     sunColor: waterParams.sunColor,
     waterColor: waterParams.waterColor,
     distortionScale: waterParams.distortionScale,
@@ -95,104 +270,139 @@ function createWater() {
     alpha: waterParams.alpha
   });
   
-  water.rotation.x = -Math.PI / 2; // Rotate to lie flat
-  water.position.y = waterParams.waterLevel;
-  scene.add(water);
+  // Displace the surface with the same waves the physics floats bodies on
+  applyWaveSpectrumToWater(water.material, waterPhysics.waveSpectrum);
+  applyRippleFieldToWater(water.material, waterPhysics.rippleField);
+  applyFlowFieldToWater(water.material, waterPhysics.flowField);
   
-  // Create GUI controls for water
-  createWaterControls(water, physics);
+  // Keep the water's uniforms, height and normal map in sync with the settings
+  bindWaterMaterial(water);
+  bindWaterNormals(water, assets.waterNormals);
 }
 
-// Create environment (islands and trees)
+// Build the level's islands, vegetation and props
 function createEnvironment() {
-  // Create a simple island (placeholder for actual model)
-  const islandGeometry = new THREE.CylinderGeometry(5, 7, 2, 32);
-  const islandMaterial = new THREE.MeshStandardMaterial({ 
-    color: 0x8B4513,  // Brown
-    roughness: 0.8
+  // Every prop, collectibles included, stops being interpolated as it's
+  // removed, before its body is freed
+  propSpawner = createPropSpawner(scene, world, {
+    waterPhysics,
+    applyCaustics: underwater.applyCausticsToObject,
+    onRemove: (prop) => {
+      const index = physicsObjects.indexOf(prop);
+      if (index !== -1) physicsObjects.splice(index, 1);
+    }
   });
-  const island = new THREE.Mesh(islandGeometry, islandMaterial);
-  island.position.set(0, -1, 0); // Half submerged
-  scene.add(island);
-  
-  // Add sand on top
-  const sandGeometry = new THREE.CylinderGeometry(4.8, 5, 0.2, 32);
-  const sandMaterial = new THREE.MeshStandardMaterial({ 
-    color: 0xf0e68c,  // Khaki
-    roughness: 1.0
+  environment = buildLevel(level, scene, world, {
+    waveSpectrum: waterPhysics.waveSpectrum,
+    propSpawner,
+    applyCaustics: underwater.applyCausticsToObject
   });
-  const sand = new THREE.Mesh(sandGeometry, sandMaterial);
-  sand.position.set(0, 0.1, 0); // Just above water
-  scene.add(sand);
-  
-  // Add simple trees (placeholders for actual models)
-  addTree(2, 0.5, 2);
-  addTree(-2, 0.5, -1);
-  addTree(0, 0.5, -3);
-}
-
-// Helper function to add a simple tree
-function addTree(x, y, z) {
-  // Tree trunk
-  const trunkGeometry = new THREE.CylinderGeometry(0.2, 0.3, 2, 8);
-  const trunkMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513 });
-  const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
-  trunk.position.set(x, y + 1, z);
-  scene.add(trunk);
-  
-  // Tree foliage
-  const foliageGeometry = new THREE.ConeGeometry(1, 2, 8);
-  const foliageMaterial = new THREE.MeshStandardMaterial({ color: 0x228B22 });
-  const foliage = new THREE.Mesh(foliageGeometry, foliageMaterial);
-  foliage.position.set(x, y + 2.5, z);
-  scene.add(foliage);
+  
+  // Props float and drift, so their meshes follow their bodies
+  physicsObjects.push(...environment.props);
+  createPropControls(gui, spawnPropNearCapybara);
+  
+  // Currents, whirlpools and streams that carry floating bodies
+  waterPhysics.flowField.setFlows(level.flows);
 }
 
 // Create capybara character
 function createCapybara() {
-  // Simple placeholder for capybara model
-  const capybaraGroup = new THREE.Group();
-  
-  // Body
-  const bodyGeometry = new THREE.CapsuleGeometry(0.7, 1.2, 4, 8);
-  const bodyMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513 });
-  const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-  body.rotation.z = Math.PI / 2;
-  capybaraGroup.add(body);
-  
-  // Head
-  const headGeometry = new THREE.SphereGeometry(0.5, 16, 16);
-  const headMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513 });
-  const head = new THREE.Mesh(headGeometry, headMaterial);
-  head.position.set(0.9, 0.2, 0);
-  capybaraGroup.add(head);
-  
-  // Eyes
-  const eyeGeometry = new THREE.SphereGeometry(0.1, 8, 8);
-  const eyeMaterial = new THREE.MeshStandardMaterial({ color: 0x000000 });
-  
-  const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-  leftEye.position.set(1.2, 0.3, 0.3);
-  capybaraGroup.add(leftEye);
-  
-  const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-  rightEye.position.set(1.2, 0.3, -0.3);
-  capybaraGroup.add(rightEye);
-  
-  // Position capybara in the scene
-  capybaraGroup.position.set(5, 0, 0); // At water level
+  // Container driven by the physics body, holding the animated model or
+  // the placeholder if the model couldn't be loaded
+  capybaraGroup = new THREE.Group();
+  if (assets.capybaraModel) {
+    const { model, clips } = assets.capybaraModel;
+    capybaraGroup.add(model);
+    capybaraAnimator = createCapybaraAnimator(model, clips);
+  } else {
+    capybaraGroup.add(createCapybaraPlaceholder());
+  }
+  
+  // Position capybara at the level's spawn point
+  const [spawnX, spawnY, spawnZ] = level.spawn.position;
+  const spawnRotation = new THREE.Quaternion().setFromAxisAngle(THREE.Object3D.DEFAULT_UP, level.spawn.heading);
+  capybaraGroup.position.set(spawnX, spawnY, spawnZ);
+  capybaraGroup.quaternion.copy(spawnRotation);
   scene.add(capybaraGroup);
+  underwater.applyCausticsToObject(capybaraGroup);
+  
+  // Dynamic body so the capybara floats, drifts and bumps into the island.
+  // A little ballast low in the belly keeps it upright in the water, and
+  // together with the colliders makes it half as dense as the water.
+  capybaraBody = world.createRigidBody(
+    RAPIER.RigidBodyDesc.dynamic()
+      .setTranslation(spawnX, spawnY, spawnZ)
+      .setRotation(spawnRotation)
+      .setAdditionalMassProperties(
+        0.76,
+        { x: -0.3, y: -0.5, z: 0 },
+        { x: 0.01, y: 0.01, z: 0.01 },
+        { x: 0, y: 0, z: 0, w: 1 }
+      )
+  );
+  
+  // Rapier capsules are Y-aligned, so lay it along X to match the body mesh
+  const bodyRotation = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, 0, Math.PI / 2));
+  world.createCollider(
+    RAPIER.ColliderDesc.capsule(0.6, 0.7)
+      .setRotation(bodyRotation)
+      .setDensity(0.4),
+    capybaraBody
+  );
+  world.createCollider(
+    RAPIER.ColliderDesc.ball(0.5)
+      .setTranslation(0.9, 0.2, 0)
+      .setDensity(0.4),
+    capybaraBody
+  );
+  
+  physicsObjects.push({ mesh: capybaraGroup, body: capybaraBody });
+  
+  // Let the capybara turn freely while swimming, but not spin forever
+  capybaraBody.setAngularDamping(1.0);
+  
+  // WASD / arrow keys drive the capybara relative to the camera
+  capybaraController = createCapybaraController(capybaraBody, camera, waterPhysics);
   
-  // In a real implementation, you would load a GLTF model instead:
-  /*
-  const loader = new GLTFLoader();
-  loader.load('models/capybara.glb', (gltf) => {
-    const model = gltf.scene;
-    model.position.set(5, 0, 0);
-    model.scale.set(0.5, 0.5, 0.5);
-    scene.add(model);
+  // Chase, orbit and eye-level cameras that follow the capybara's
+  // interpolated mesh, so the view doesn't judder between physics steps
+  cameraController = createCameraController(camera, controls, capybaraGroup, world, waterPhysics);
+  createCameraControls(gui, cameraController);
+}
+
+// Start a round of the level's objectives, with the score on the HUD
+function createRound() {
+  round = createGameRound(level, world, {
+    propSpawner,
+    playerBody: capybaraBody,
+    playerMesh: capybaraGroup,
+    applyCaustics: underwater.applyCausticsToObject,
+    
+    // Floating oranges are interpolated like any other body until picked
+    // up, when the prop spawner drops them again
+    onSpawn: (collectible) => physicsObjects.push(collectible)
+  });
+  hud = createHud();
+}
+
+// Add the level's wildlife, which swims like any other floating body
+function createPondWildlife() {
+  wildlife = createWildlife(level, scene, world, waterPhysics, {
+    getGroundHeight: environment.terrain ? environment.terrain.getHeight : undefined,
+    waterLevel: waterParams.waterLevel,
+    applyCaustics: underwater.applyCausticsToObject
   });
-  */
+  physicsObjects.push(...wildlife.animals);
+}
+
+// Drop a prop into the water just ahead of the capybara
+function spawnPropNearCapybara(prop) {
+  const ahead = new THREE.Vector3(2.5, 0, 0).applyQuaternion(capybaraBody.rotation());
+  const position = ahead.add(capybaraBody.translation());
+  position.y = waterParams.waterLevel + 1.5;
+  
+  physicsObjects.push(propSpawner.spawnProp({ ...prop, position }));
 }
 
 // Handle window resize
@@ -200,29 +410,80 @@ function onWindowResize() {
   camera.aspect = window.innerWidth / window.innerHeight;
   camera.updateProjectionMatrix();
   renderer.setSize(window.innerWidth, window.innerHeight);
+  
+  // Enhanced water renders its passes at screen resolution
+  if (water.setSize) {
+    const pixelRatio = renderer.getPixelRatio();
+    water.setSize(window.innerWidth * pixelRatio, window.innerHeight * pixelRatio);
+  }
 }
 
 // Animation loop
 function animate() {
   requestAnimationFrame(animate);
   
-  const deltaTime = clock.getDelta();
+  // Update physics in fixed steps, then place meshes between steps. Real
+  // frame time (capped like the simulation's) drives the camera; simulated
+  // time (scaled, paused or frame-stepped) drives everything else
+  simulation.update(clock.getDelta());
+  physics.interpolate(simulation.alpha);
+  const frameTime = simulation.frameTime;
+  const deltaTime = simulation.deltaTime;
+  const time = simulation.renderTime;
+  
+  // Pick up oranges, visit islands and tick the clock, ending the round
+  // once it's won or the time runs out
+  const wasPlaying = round.state === 'playing';
+  round.update(deltaTime);
+  hud.update(round);
+  if (wasPlaying && round.state !== 'playing') {
+    hud.showRoundEnd(round, round.restart);
+  }
+  
+  // Blend the capybara's clips from its speed and how deep it floats
+  if (capybaraAnimator) {
+    const velocity = capybaraBody.linvel();
+    capybaraAnimator.update(
+      deltaTime,
+      Math.hypot(velocity.x, velocity.z),
+      waterPhysics.getSubmergedRatio(capybaraBody)
+    );
+  }
+  
+  // Follow the capybara where the physics left it
+  cameraController.update(frameTime, waterParams.waterLevel, time);
+  underwater.update(camera, waterParams.waterLevel, time);
   
-  // Update controls
-  controls.update();
+  // Blend the weather and rain on the pond
+  weather.update(deltaTime, capybaraBody.translation(), camera);
   
-  // Update water
-  updateWater(water, deltaTime);
+  // Move the sun and moon and relight the scene under the clouds; the
+  // water's highlight and the caustics take the light's color, and the
+  // underwater fog replaces the sky below the surface
+  dayNight.update(deltaTime, camera, weather.state.cloudCover, weather.lightFactor);
+  dayNight.sky.visible = !underwater.isUnderwater;
+  water.material.uniforms.sunColor.value.set(waterParams.sunColor).multiply(dayNight.sunColor);
+  underwater.causticsUniforms.causticsColor.value.set(waterParams.sunColor).multiply(dayNight.sunColor);
   
-  // Update physics
-  physics.update(deltaTime);
+  // Sway plants in the wind and pick their levels of detail
+  environment.vegetation.update(camera, deltaTime);
+  
+  // Update water (the enhanced water also renders its passes here); the
+  // rendered waves match the interpolated physics
+  waterPhysics.waveSpectrum.uniforms.waveTime.value = time;
+  waterPhysics.flowField.uniforms.flowTime.value = time;
+  if (water.update) {
+    water.update(renderer, scene, camera, deltaTime);
+  } else {
+    updateWater(water, deltaTime);
+  }
   
-  // Render scene
-  renderer.render(scene, camera);
+  // Render scene (color graded while underwater)
+  underwater.render(renderer, scene, camera);
 }
 
 // Start the application
-init();
+start();
 
 // Add "Capybara Swim" to the end
 console.log("Capybara Swim");
\ No newline at end of file
@@ -0,0 +1,181 @@
+/**
+ * Floating Props
+ *
+ * This file spawns loose objects for the pond: logs, balls, crates, lily
+ * pads and oranges, each with its own mesh, collider and water
+ * properties. How heavy a prop is comes from its collider density; how
+ * the water treats it (how much drag it feels and how buoyant it is
+ * beyond its volume) is stored in the body's user data, where the water
+ * physics reads it. Light props bob at the surface, heavy ones sink, and
+ * the capybara can nudge them around.
+ */
+
+import * as THREE from 'three';
+import RAPIER from '@dimforge/rapier3d-compat';
+
+// Prop types with their defaults. Density is relative to the water (1.0);
+// dragScale and buoyancyScale multiply the water's drag and buoyancy.
+const propTypes = {
+  log: { size: 2, density: 0.6, dragScale: 0.8, buoyancyScale: 1, color: '#6b4423' },
+  ball: { size: 0.6, density: 0.1, dragScale: 0.5, buoyancyScale: 1, color: '#e04a3a' },
+  crate: { size: 1, density: 0.5, dragScale: 1.2, buoyancyScale: 1, color: '#a0522d' },
+  // Flat pads catch the water, so they drift with it and barely tip
+  lilyPad: { size: 1, density: 0.3, dragScale: 3, buoyancyScale: 1, color: '#3f8a34' },
+  // Collectibles float too (see game-rules.js)
+  orange: { size: 0.3, density: 0.6, dragScale: 1, buoyancyScale: 1, color: '#ff8c1a' }
+};
+
+// Mesh geometry and collider for each type, sized by the prop's size
+const propShapes = {
+  log: (size) => ({
+    // Lying along X, a quarter as thick as it is long
+    geometry: new THREE.CylinderGeometry(size / 8, size / 8, size, 12).rotateZ(Math.PI / 2),
+    colliderDesc: RAPIER.ColliderDesc.cylinder(size / 2, size / 8)
+      .setRotation(new THREE.Quaternion().setFromEuler(new THREE.Euler(0, 0, Math.PI / 2))),
+    roughness: 1.0
+  }),
+  ball: (size) => ({
+    geometry: new THREE.SphereGeometry(size / 2, 16, 12),
+    colliderDesc: RAPIER.ColliderDesc.ball(size / 2),
+    roughness: 0.5
+  }),
+  crate: (size) => ({
+    geometry: new THREE.BoxGeometry(size, size, size),
+    colliderDesc: RAPIER.ColliderDesc.cuboid(size / 2, size / 2, size / 2),
+    roughness: 0.9
+  }),
+  lilyPad: (size) => ({
+    // A disc as wide as the size, with a notch cut out like a real pad
+    geometry: new THREE.CylinderGeometry(size / 2, size / 2, size / 20, 20, 1, false, 0.3, Math.PI * 2 - 0.6),
+    colliderDesc: RAPIER.ColliderDesc.cylinder(size / 40, size / 2),
+    roughness: 0.7
+  }),
+  orange: (size) => ({
+    geometry: new THREE.SphereGeometry(size / 2, 12, 8),
+    colliderDesc: RAPIER.ColliderDesc.ball(size / 2),
+    roughness: 0.6
+  })
+};
+
+/**
+ * Creates a spawner for floating props
+ * @param {THREE.Scene} scene - Scene to add prop meshes to
+ * @param {RAPIER.World} world - World to add prop bodies to
+ * @param {Object} options - Spawner options
+ * @param {Object} options.waterPhysics - Water physics whose cached sample points are dropped with removed props
+ * @param {Function} options.applyCaustics - Called with each new prop mesh to show caustics on it underwater
+ * @param {Function} options.onRemove - Called with each prop's { mesh, body } as it goes, before the body is freed
+ * @returns {Object} The prop spawner object
+ */
+export function createPropSpawner(scene, world, options = {}) {
+  const { waterPhysics = null, applyCaustics = () => {}, onRemove = () => {} } = options;
+
+  // Every prop spawned and not yet removed, as { mesh, body, type }
+  const props = [];
+
+  /**
+   * Adds a prop to the pond
+   * @param {Object} prop - What to spawn
+   * @param {string} prop.type - 'log', 'ball', 'crate', 'lilyPad' or 'orange'
+   * @param {number[]|THREE.Vector3} prop.position - Where to spawn it
+   * @param {number} prop.density - Density relative to the water; below 1 floats
+   * @param {number} prop.dragScale - Multiplier for the water's drag on it
+   * @param {number} prop.buoyancyScale - Multiplier for its buoyancy
+   * @param {number} prop.size - Length, diameter or edge in metres
+   * @param {number} prop.rotation - Yaw in radians
+   * @param {string} prop.color - Mesh color
+   * @returns {Object} The prop's mesh and body
+   */
+  function spawnProp(prop) {
+    if (!propTypes[prop.type]) {
+      throw new Error(`Unknown prop type "${prop.type}"`);
+    }
+    const { type, position, size, density, dragScale, buoyancyScale, color, rotation = 0 } =
+      { ...propTypes[prop.type], ...prop };
+    const [x, y, z] = Array.isArray(position) ? position : [position.x, position.y, position.z];
+    const quaternion = new THREE.Quaternion().setFromAxisAngle(THREE.Object3D.DEFAULT_UP, rotation);
+
+    const { geometry, colliderDesc, roughness } = propShapes[type](size);
+    const material = new THREE.MeshStandardMaterial({ color, roughness });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.position.set(x, y, z);
+    mesh.quaternion.copy(quaternion);
+    scene.add(mesh);
+    applyCaustics(mesh);
+
+    const body = world.createRigidBody(
+      RAPIER.RigidBodyDesc.dynamic()
+        .setTranslation(x, y, z)
+        .setRotation(quaternion)
+    );
+    world.createCollider(colliderDesc.setDensity(density), body);
+
+    // Read by the water physics for this body alone
+    body.userData = { prop: type, dragScale, buoyancyScale };
+
+    const entry = { mesh, body, type };
+    props.push(entry);
+    return entry;
+  }
+
+  /**
+   * Removes a prop from the pond
+   * @param {Object} prop - A prop returned by spawnProp
+   */
+  function removeProp(prop) {
+    const index = props.indexOf(prop);
+    if (index === -1) return;
+    props.splice(index, 1);
+    onRemove(prop);
+
+    // Collider handles get reused, so forget their sample points
+    if (waterPhysics) {
+      for (let i = 0; i < prop.body.numColliders(); i++) {
+        waterPhysics.clearSampleCache(prop.body.collider(i).handle);
+      }
+    }
+    world.removeRigidBody(prop.body);
+    scene.remove(prop.mesh);
+    prop.mesh.geometry.dispose();
+    prop.mesh.material.dispose();
+  }
+
+  return {
+    props,
+    spawnProp,
+    removeProp,
+
+    // Remove every prop
+    dispose: function() {
+      for (const prop of [...props]) removeProp(prop);
+    }
+  };
+}
+
+/**
+ * Adds a Props folder to a GUI for dropping props into the pond
+ * @param {GUI} gui - The GUI to extend
+ * @param {Function} spawn - Called with { type, density, dragScale } to spawn a prop
+ * @returns {GUI} The new folder
+ */
+export function createPropControls(gui, spawn) {
+  const choice = { type: 'ball', ...propTypes.ball };
+  const folder = gui.addFolder('Props');
+
+  // Picking a type restores its defaults
+  folder.add(choice, 'type', Object.keys(propTypes)).name('Type').onChange((type) => {
+    Object.assign(choice, propTypes[type]);
+    density.updateDisplay();
+    dragScale.updateDisplay();
+  });
+  const density = folder.add(choice, 'density', 0.05, 3, 0.05).name('Density');
+  const dragScale = folder.add(choice, 'dragScale', 0, 5, 0.1).name('Drag Scale');
+  folder.add({
+    spawn: () => spawn({ type: choice.type, density: choice.density, dragScale: choice.dragScale })
+  }, 'spawn').name('Spawn Prop');
+
+  return folder;
+}
+
+// Export prop types for use elsewhere
+export { propTypes };
@@ -0,0 +1,34 @@
+/**
+ * Seeded Random Numbers
+ *
+ * This file provides a small seedable random number generator, so anything
+ * generated from a seed (terrain, scatter, tests) comes out the same every
+ * time.
+ */
+
+/**
+ * Creates a seeded random number generator (mulberry32)
+ * @param {number} seed - Any integer seed
+ * @returns {Function} Returns a new number in [0, 1) on each call
+ */
+export function createRandom(seed = 1) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Returns a random number in a range
+ * @param {Function} random - Generator from createRandom
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} A number in [min, max)
+ */
+export function randomRange(random, min, max) {
+  return min + (max - min) * random();
+}
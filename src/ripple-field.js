@@ -0,0 +1,294 @@
+/**
+ * Interactive Ripple Field
+ *
+ * This file simulates small dynamic ripples on a grid that follows the
+ * player. Bodies moving through the water disturb the grid, the wave
+ * equation spreads the disturbance out, and the resulting heights are
+ * added to the procedural waves in both the physics and the water shaders.
+ */
+
+import * as THREE from 'three';
+import { waterSettings } from './water-settings.js';
+
+// Default grid layout
+const rippleFieldParams = {
+  size: 32,               // World-space width of the square grid
+  resolution: 128,        // Cells along each side
+  edgeFade: 6             // Cells at the border that absorb outgoing ripples
+};
+
+/**
+ * Generates GLSL declaring the ripple uniforms and sampling helpers
+ * @returns {string} GLSL source usable in vertex and fragment shaders
+ */
+export function generateRippleGLSL() {
+  return `
+uniform sampler2D rippleMap;
+uniform vec4 rippleBounds; // minX, minZ, size, 1 / resolution
+
+// Ripple height at world-space position p (zero outside the grid)
+float rippleHeight( vec2 p ) {
+    vec2 uv = ( p - rippleBounds.xy ) / rippleBounds.z;
+    if ( any( lessThan( uv, vec2( 0.0 ) ) ) || any( greaterThan( uv, vec2( 1.0 ) ) ) ) return 0.0;
+    return texture2D( rippleMap, uv ).r;
+}
+
+// Horizontal part of the ripple normal at world-space position p
+vec3 rippleNormalOffset( vec2 p ) {
+    float e = rippleBounds.z * rippleBounds.w;
+    vec2 gradient = vec2(
+        rippleHeight( p + vec2( e, 0.0 ) ) - rippleHeight( p - vec2( e, 0.0 ) ),
+        rippleHeight( p + vec2( 0.0, e ) ) - rippleHeight( p - vec2( 0.0, e ) )
+    ) / ( 2.0 * e );
+    return vec3( -gradient.x, 0.0, -gradient.y );
+}
+`;
+}
+
+/**
+ * Creates ripple uniforms for materials that have no ripple field
+ * @returns {Object} Uniforms with a flat 1x1 ripple map
+ */
+export function createEmptyRippleUniforms() {
+  const texture = new THREE.DataTexture(new Float32Array(1), 1, 1, THREE.RedFormat, THREE.FloatType);
+  texture.needsUpdate = true;
+  return {
+    rippleMap: { value: texture },
+    rippleBounds: { value: new THREE.Vector4(0, 0, 1, 1) }
+  };
+}
+
+/**
+ * Creates a ripple heightfield simulation
+ * @param {Object} params - Optional grid parameters to override defaults
+ * @param {Object} params.store - Settings store to read (defaults to the shared water settings)
+ * @returns {Object} The ripple field object
+ */
+export function createRippleField(params = {}) {
+  const { store = waterSettings, ...overrides } = params;
+  const layout = { ...rippleFieldParams, ...overrides };
+  const settings = store.values;
+
+  const resolution = layout.resolution;
+  const cellSize = layout.size / resolution;
+
+  // Height now and one step ago; the wave equation needs both
+  let current = new Float32Array(resolution * resolution);
+  let previous = new Float32Array(resolution * resolution);
+
+  // Damping towards the grid border so ripples fade out instead of reflecting
+  const edgeDamping = new Float32Array(resolution * resolution);
+  for (let j = 0; j < resolution; j++) {
+    for (let i = 0; i < resolution; i++) {
+      const edgeDistance = Math.min(i, j, resolution - 1 - i, resolution - 1 - j);
+      edgeDamping[j * resolution + i] = Math.min(1, edgeDistance / layout.edgeFade);
+    }
+  }
+
+  // World position of the grid's minimum corner, snapped to whole cells
+  const origin = new THREE.Vector2(-layout.size / 2, -layout.size / 2);
+
+  // Heights uploaded to the GPU for the water shaders
+  const texture = new THREE.DataTexture(current, resolution, resolution, THREE.RedFormat, THREE.FloatType);
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearFilter;
+  texture.needsUpdate = true;
+
+  const uniforms = {
+    rippleMap: { value: texture },
+    rippleBounds: { value: new THREE.Vector4(origin.x, origin.y, layout.size, 1 / resolution) }
+  };
+
+  function updateUniforms() {
+    texture.image.data = current;
+    texture.needsUpdate = true;
+    uniforms.rippleBounds.value.set(origin.x, origin.y, layout.size, 1 / resolution);
+  }
+
+  // Move heights by whole cells, clearing the cells that scroll into view
+  function shiftGrid(array, shiftX, shiftZ) {
+    const shifted = new Float32Array(array.length);
+    for (let j = 0; j < resolution; j++) {
+      const sourceJ = j + shiftZ;
+      if (sourceJ < 0 || sourceJ >= resolution) continue;
+      for (let i = 0; i < resolution; i++) {
+        const sourceI = i + shiftX;
+        if (sourceI < 0 || sourceI >= resolution) continue;
+        shifted[j * resolution + i] = array[sourceJ * resolution + sourceI];
+      }
+    }
+    return shifted;
+  }
+
+  /**
+   * Recenters the grid on a world position, keeping existing ripples in place
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   */
+  function setCenter(x, z) {
+    const shiftX = Math.round((x - layout.size / 2 - origin.x) / cellSize);
+    const shiftZ = Math.round((z - layout.size / 2 - origin.y) / cellSize);
+    if (shiftX === 0 && shiftZ === 0) return;
+
+    current = shiftGrid(current, shiftX, shiftZ);
+    previous = shiftGrid(previous, shiftX, shiftZ);
+    origin.x += shiftX * cellSize;
+    origin.y += shiftZ * cellSize;
+    updateUniforms();
+  }
+
+  /**
+   * Pushes the surface up (positive) or down (negative) around a point
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   * @param {number} amount - Height change at the centre, in metres
+   * @param {number} radius - Radius of the disturbance, in metres
+   */
+  function disturb(x, z, amount, radius) {
+    const centerI = (x - origin.x) / cellSize - 0.5;
+    const centerJ = (z - origin.y) / cellSize - 0.5;
+    const cellRadius = Math.max(1, radius / cellSize);
+    const reach = Math.ceil(cellRadius * 2);
+
+    const minI = Math.max(1, Math.floor(centerI - reach));
+    const maxI = Math.min(resolution - 2, Math.ceil(centerI + reach));
+    const minJ = Math.max(1, Math.floor(centerJ - reach));
+    const maxJ = Math.min(resolution - 2, Math.ceil(centerJ + reach));
+
+    // Gaussian falloff keeps the disturbance smooth enough not to alias
+    for (let j = minJ; j <= maxJ; j++) {
+      for (let i = minI; i <= maxI; i++) {
+        const dx = (i - centerI) / cellRadius;
+        const dz = (j - centerJ) / cellRadius;
+        current[j * resolution + i] += amount * Math.exp(-(dx * dx + dz * dz));
+      }
+    }
+  }
+
+  /**
+   * Advances the wave equation
+   * @param {number} deltaTime - Time step in seconds
+   */
+  function step(deltaTime) {
+    // Stay under the CFL limit so the simulation can't blow up
+    const maxStep = 0.5 * cellSize / settings.rippleSpeed;
+    const dt = Math.min(deltaTime, maxStep);
+
+    const courant = (settings.rippleSpeed * dt / cellSize) ** 2;
+    const decay = Math.exp(-settings.rippleDamping * dt);
+
+    // Write the next state over the previous one, then swap
+    for (let j = 1; j < resolution - 1; j++) {
+      for (let i = 1; i < resolution - 1; i++) {
+        const index = j * resolution + i;
+        const laplacian =
+          current[index - 1] + current[index + 1] +
+          current[index - resolution] + current[index + resolution] -
+          4 * current[index];
+        previous[index] = (2 * current[index] - previous[index] + courant * laplacian) *
+          decay * edgeDamping[index];
+      }
+    }
+
+    const next = previous;
+    previous = current;
+    current = next;
+    updateUniforms();
+  }
+
+  // Bilinear sample of the grid, zero outside it
+  function sample(x, z) {
+    const fx = (x - origin.x) / cellSize - 0.5;
+    const fz = (z - origin.y) / cellSize - 0.5;
+    const i = Math.floor(fx);
+    const j = Math.floor(fz);
+    if (i < 0 || j < 0 || i >= resolution - 1 || j >= resolution - 1) return 0;
+
+    const tx = fx - i;
+    const tz = fz - j;
+    const index = j * resolution + i;
+    const top = current[index] * (1 - tx) + current[index + 1] * tx;
+    const bottom = current[index + resolution] * (1 - tx) + current[index + resolution + 1] * tx;
+    return top * (1 - tz) + bottom * tz;
+  }
+
+  /**
+   * Ripple height at a world position
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   * @returns {number} Height offset in metres
+   */
+  function getHeight(x, z) {
+    return sample(x, z);
+  }
+
+  /**
+   * Ripple slope at a world position
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   * @param {THREE.Vector2} target - Receives (dh/dx, dh/dz)
+   * @returns {THREE.Vector2} The gradient
+   */
+  function getGradient(x, z, target = new THREE.Vector2()) {
+    return target.set(
+      (sample(x + cellSize, z) - sample(x - cellSize, z)) / (2 * cellSize),
+      (sample(x, z + cellSize) - sample(x, z - cellSize)) / (2 * cellSize)
+    );
+  }
+
+  return {
+    uniforms,
+    setCenter,
+    disturb,
+    step,
+    getHeight,
+    getGradient,
+
+    // Flatten the water
+    clear: function() {
+      current.fill(0);
+      previous.fill(0);
+      updateUniforms();
+    },
+
+    // Release the GPU texture
+    dispose: function() {
+      texture.dispose();
+    }
+  };
+}
+
+/**
+ * Adds ripple heights and normals to a three.js Water material that has
+ * already been patched by applyWaveSpectrumToWater
+ * @param {THREE.ShaderMaterial} material - The material of a three.js Water
+ * @param {Object} rippleField - Ripple field from createRippleField
+ */
+export function applyRippleFieldToWater(material, rippleField) {
+  const displacement = 'displacedPosition.xyz += gerstnerDisplacement( displacedPosition.xz, waveTime, vWaveNormal );';
+  const surfaceNormal = /vec3 surfaceNormal = [^;]*;/;
+
+  if (!material.vertexShader.includes(displacement) || !surfaceNormal.test(material.fragmentShader)) {
+    console.warn('Water shader layout not recognised - ripples not applied');
+    return;
+  }
+
+  Object.assign(material.uniforms, rippleField.uniforms);
+
+  material.vertexShader = material.vertexShader
+    .replace('void main() {', `${generateRippleGLSL()}
+void main() {`)
+    .replace(displacement, `${displacement}
+					displacedPosition.y += rippleHeight( displacedPosition.xz );`);
+
+  material.fragmentShader = material.fragmentShader
+    .replace('void main() {', `${generateRippleGLSL()}
+void main() {`)
+    .replace(surfaceNormal, (line) => `${line}
+					surfaceNormal = normalize( surfaceNormal + rippleNormalOffset( worldPosition.xz ) );`);
+
+  material.needsUpdate = true;
+}
+
+// Export parameters for use elsewhere
+export { rippleFieldParams };
@@ -0,0 +1,191 @@
+/**
+ * Settings Store
+ *
+ * This file implements a small reactive store for tunable parameters. Each
+ * setting is described by a schema entry (type, default, range) and changes
+ * are validated before being broadcast to subscribers, so the GUI, the
+ * water materials and the physics can all share one set of values.
+ */
+
+// Validators for each setting type; they return the coerced value or throw
+const typeValidators = {
+  number: (value, entry) => {
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      throw new TypeError('expected a number');
+    }
+    return clampToRange(value, entry);
+  },
+  integer: (value, entry) => {
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      throw new TypeError('expected an integer');
+    }
+    return clampToRange(Math.round(value), entry);
+  },
+  boolean: (value) => {
+    if (typeof value !== 'boolean') {
+      throw new TypeError('expected true or false');
+    }
+    return value;
+  },
+  color: (value) => {
+    if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) {
+      throw new TypeError('expected a color like #12ab34');
+    }
+    return value.toLowerCase();
+  },
+  select: (value, entry) => {
+    if (!entry.options.includes(value)) {
+      throw new TypeError(`expected one of ${entry.options.join(', ')}`);
+    }
+    return value;
+  }
+};
+
+// Clamp a number into a schema entry's [min, max] range
+function clampToRange(value, entry) {
+  if (entry.min !== undefined && value < entry.min) return entry.min;
+  if (entry.max !== undefined && value > entry.max) return entry.max;
+  return value;
+}
+
+/**
+ * Creates a reactive settings store
+ * @param {Object} schema - Map of setting keys to { type, default, min, max, step, options, folder }
+ * @returns {Object} The settings store object
+ */
+export function createSettingsStore(schema) {
+  const current = {};
+  const listeners = new Map();
+
+  // Validate a value against its schema entry
+  function validate(key, value) {
+    const entry = schema[key];
+    if (!entry) {
+      throw new Error(`Unknown setting "${key}"`);
+    }
+    try {
+      return typeValidators[entry.type](value, entry);
+    } catch (error) {
+      throw new TypeError(`Invalid value for setting "${key}": ${error.message}`);
+    }
+  }
+
+  // Call key-specific and wildcard listeners for a changed setting
+  function notify(key) {
+    for (const listenerKey of [key, '*']) {
+      const callbacks = listeners.get(listenerKey);
+      if (!callbacks) continue;
+      for (const callback of [...callbacks]) {
+        callback(current[key], key);
+      }
+    }
+  }
+
+  // Live view of the settings: reading gives the current value and
+  // assigning goes through set(), so GUI libraries can bind to it directly
+  const values = {};
+  for (const key of Object.keys(schema)) {
+    current[key] = validate(key, schema[key].default);
+    Object.defineProperty(values, key, {
+      enumerable: true,
+      get: () => current[key],
+      set: (value) => store.set(key, value)
+    });
+  }
+
+  const store = {
+    schema,
+    values,
+
+    /**
+     * Gets the current value of a setting
+     * @param {string} key - Setting name
+     * @returns {*} The current value
+     */
+    get: function(key) {
+      if (!(key in schema)) {
+        throw new Error(`Unknown setting "${key}"`);
+      }
+      return current[key];
+    },
+
+    /**
+     * Validates and sets a setting, notifying subscribers if it changed
+     * @param {string} key - Setting name
+     * @param {*} value - New value
+     */
+    set: function(key, value) {
+      const validated = validate(key, value);
+      if (current[key] === validated) return;
+      current[key] = validated;
+      notify(key);
+    },
+
+    /**
+     * Sets several settings at once; all values are validated first so a
+     * bad entry leaves the store untouched
+     * @param {Object} changes - Map of setting names to new values
+     */
+    update: function(changes) {
+      const validated = {};
+      for (const key of Object.keys(changes)) {
+        validated[key] = validate(key, changes[key]);
+      }
+      for (const key of Object.keys(validated)) {
+        if (current[key] === validated[key]) continue;
+        current[key] = validated[key];
+        notify(key);
+      }
+    },
+
+    /**
+     * Restores settings to their defaults
+     * @param {string[]} keys - Settings to reset (all if omitted)
+     */
+    reset: function(keys = Object.keys(schema)) {
+      const defaults = {};
+      for (const key of keys) defaults[key] = schema[key].default;
+      store.update(defaults);
+    },
+
+    /**
+     * Returns a plain snapshot of every setting
+     * @returns {Object} Map of setting names to values
+     */
+    getAll: function() {
+      return { ...current };
+    },
+
+    /**
+     * Returns the default value of every setting
+     * @returns {Object} Map of setting names to defaults
+     */
+    getDefaults: function() {
+      const defaults = {};
+      for (const key of Object.keys(schema)) defaults[key] = schema[key].default;
+      return defaults;
+    },
+
+    /**
+     * Subscribes to changes of one or more settings
+     * @param {string|string[]} keys - Setting name(s), or '*' for every setting
+     * @param {Function} callback - Called with (value, key) after a change
+     * @returns {Function} Call to unsubscribe
+     */
+    subscribe: function(keys, callback) {
+      const keyList = Array.isArray(keys) ? keys : [keys];
+      for (const key of keyList) {
+        if (key !== '*' && !(key in schema)) {
+          throw new Error(`Unknown setting "${key}"`);
+        }
+        if (!listeners.has(key)) listeners.set(key, new Set());
+        listeners.get(key).add(callback);
+      }
+      return () => {
+        for (const key of keyList) listeners.get(key).delete(callback);
+      };
+    }
+  };
+
+  return store;
+}
@@ -0,0 +1,172 @@
+/**
+ * Fixed-Timestep Simulation Loop
+ *
+ * This file runs the physics at a fixed rate, independent of the frame
+ * rate. Frame time is collected in an accumulator and spent in whole
+ * physics steps (`subSteps` per tick), and the leftover fraction of a step
+ * is returned so rendered transforms can be interpolated between the last
+ * two steps. Long frames (a tab switch, a breakpoint) are capped so the
+ * loop never tries to catch up on more than a few ticks. Pause, frame-step
+ * and time-scale controls help when debugging the simulation.
+ */
+
+import { waterSettings } from './water-settings.js';
+import { isTypingEvent } from './keyboard.js';
+
+// Default simulation loop parameters
+const simulationParams = {
+  tickRate: 60,           // Simulation ticks per second, each split into subSteps physics steps
+  maxFrameTime: 0.25,     // Longest frame time (seconds) fed to the accumulator
+  maxTicksPerFrame: 4,    // Catch-up limit; time beyond this is dropped
+  timeScale: 1.0,         // Simulated seconds per real second
+  paused: false
+};
+
+/**
+ * Creates a fixed-timestep simulation loop
+ * @param {Function} step - Called with (stepTime, time) for each physics step
+ * @param {Object} params - Optional parameters to override defaults
+ * @param {Object} params.store - Settings store providing subSteps (defaults to the shared water settings)
+ * @returns {Object} The simulation loop object
+ */
+export function createSimulationLoop(step, params = {}) {
+  const { store = waterSettings, ...overrides } = params;
+
+  // Merge provided params with defaults
+  const settings = { ...simulationParams, ...overrides };
+
+  let accumulator = 0;
+  let time = 0;           // Simulated time at the latest step
+  let alpha = 0;          // Fraction of a step rendered past the previous step
+  let deltaTime = 0;      // Simulated time that passed this frame
+  let frameTime = 0;      // Real time this frame, capped at maxFrameTime
+  let pendingTicks = 0;   // Ticks requested with stepFrame() while paused
+
+  // Length of one physics step
+  function getStepTime() {
+    return 1 / (settings.tickRate * store.get('subSteps'));
+  }
+
+  function runSteps(count, stepTime) {
+    for (let i = 0; i < count; i++) {
+      step(stepTime, time);
+      time += stepTime;
+    }
+  }
+
+  // P pauses, N advances one tick while paused
+  function onKeyDown(event) {
+    if (event.repeat || isTypingEvent(event)) return;
+    if (event.code === 'KeyP') {
+      settings.paused = !settings.paused;
+    } else if (event.code === 'KeyN') {
+      loop.stepFrame();
+    }
+  }
+
+  window.addEventListener('keydown', onKeyDown);
+
+  const loop = {
+    settings,
+
+    // Simulated time at the latest physics step
+    get time() {
+      return time;
+    },
+
+    // Simulated time matching the interpolated transforms
+    get renderTime() {
+      return time - (1 - alpha) * getStepTime();
+    },
+
+    // Simulated time that passed this frame (0 while paused), leaving out
+    // time dropped by the catch-up limit
+    get deltaTime() {
+      return deltaTime;
+    },
+
+    // Real time this frame capped at maxFrameTime, for work that goes on
+    // while paused, such as moving the camera
+    get frameTime() {
+      return frameTime;
+    },
+
+    // Interpolation fraction between the previous and latest step
+    get alpha() {
+      return alpha;
+    },
+
+    /**
+     * Advances the simulation by a frame's worth of whole steps
+     * @param {number} realFrameTime - Real time since the last frame in seconds
+     * @returns {number} The number of physics steps run
+     */
+    update: function(realFrameTime) {
+      const stepTime = getStepTime();
+      const subSteps = store.get('subSteps');
+      frameTime = Math.min(realFrameTime, settings.maxFrameTime);
+
+      // While paused only requested ticks run, and the accumulator waits.
+      // Draw the latest step as it is, not a blend left from before.
+      if (settings.paused) {
+        const steps = pendingTicks * subSteps;
+        pendingTicks = 0;
+        runSteps(steps, stepTime);
+        deltaTime = steps * stepTime;
+        alpha = 1;
+        return steps;
+      }
+
+      deltaTime = frameTime * settings.timeScale;
+      accumulator += deltaTime;
+
+      // Spend the accumulator in whole steps, dropping whatever is left
+      // over the catch-up limit so a slow frame can't snowball
+      const maxSteps = settings.maxTicksPerFrame * subSteps;
+      const steps = Math.min(Math.floor(accumulator / stepTime), maxSteps);
+      runSteps(steps, stepTime);
+      accumulator -= steps * stepTime;
+      if (accumulator >= stepTime) {
+        // Dropped time never runs, so it hasn't passed either
+        const dropped = accumulator - accumulator % stepTime;
+        accumulator -= dropped;
+        deltaTime -= dropped;
+      }
+
+      alpha = accumulator / stepTime;
+      return steps;
+    },
+
+    // Advance one tick on the next update; only while paused
+    stepFrame: function() {
+      if (settings.paused) pendingTicks++;
+    },
+
+    // Remove input listeners
+    dispose: function() {
+      window.removeEventListener('keydown', onKeyDown);
+    }
+  };
+
+  return loop;
+}
+
+/**
+ * Adds a Simulation folder to a GUI
+ * @param {GUI} gui - The GUI to extend
+ * @param {Object} simulationLoop - Loop from createSimulationLoop
+ * @returns {GUI} The new folder
+ */
+export function createSimulationControls(gui, simulationLoop) {
+  const { settings } = simulationLoop;
+  const folder = gui.addFolder('Simulation');
+
+  folder.add(settings, 'paused').name('Paused (P)').listen();
+  folder.add(settings, 'timeScale', 0, 2, 0.05).name('Time Scale');
+  folder.add(simulationLoop, 'stepFrame').name('Step Frame (N)');
+
+  return folder;
+}
+
+// Export parameters for use elsewhere
+export { simulationParams };
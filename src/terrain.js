@@ -0,0 +1,275 @@
+/**
+ * Procedural Terrain
+ *
+ * This file generates the pond's ground from a seed: natural islands with
+ * beaches that run down into the water, and a pond bed that slopes away
+ * from the shore. The same heightmap drives the rendered mesh (blending
+ * mud, sand and grass by height and slope) and a Rapier heightfield
+ * collider, so the capybara can swim up onto the shore and walk out.
+ */
+
+import * as THREE from 'three';
+import RAPIER from '@dimforge/rapier3d-compat';
+import { createRandom } from './random.js';
+
+// Default terrain parameters
+const terrainParams = {
+  seed: 1,                  // Seed for every random choice
+  center: [0, 0],           // World-space centre (x, z)
+  size: [100, 100],         // World-space width and depth
+  resolution: 128,          // Cells along each side
+  bedDepth: 4.0,            // Depth of the open pond bed below the water level
+  shelfWidth: 12.0,         // Distance over which the bed slopes down from a shore
+  coastNoise: 0.25,         // How ragged the coastlines are (fraction of radius)
+  detailNoise: 0.3,         // Height of small bumps on land and bed
+  noiseScale: 0.08,         // Frequency of the coastline and detail noise
+  beachHeight: 0.4,         // Height above the water still drawn as sand
+  islands: [
+    { position: [0, 0], radius: 9, height: 2.5 }
+  ]
+};
+
+// Ground colors blended by height and slope
+const groundColors = {
+  mud: new THREE.Color(0x4a3b2a),
+  sand: new THREE.Color(0xe0cf8a),
+  grass: new THREE.Color(0x4f8a3a),
+  rock: new THREE.Color(0x7a7268)
+};
+
+/**
+ * Creates seeded 2D gradient noise
+ * @param {Function} random - Generator from createRandom
+ * @returns {Function} noise(x, y) in roughly [-1, 1]
+ */
+function createNoise2D(random) {
+  // Shuffled permutation table, doubled to avoid index wrapping
+  const permutation = new Uint8Array(512);
+  const table = Array.from({ length: 256 }, (_, i) => i);
+  for (let i = 255; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [table[i], table[j]] = [table[j], table[i]];
+  }
+  for (let i = 0; i < 512; i++) permutation[i] = table[i & 255];
+
+  // Eight evenly spread gradient directions
+  const gradients = Array.from({ length: 8 }, (_, i) => [Math.cos(i * Math.PI / 4), Math.sin(i * Math.PI / 4)]);
+
+  function dotGradient(hash, x, y) {
+    const gradient = gradients[hash & 7];
+    return gradient[0] * x + gradient[1] * y;
+  }
+
+  const fade = (t) => t * t * t * (t * (t * 6 - 15) + 10);
+
+  return function noise(x, y) {
+    const xi = Math.floor(x);
+    const yi = Math.floor(y);
+    const xf = x - xi;
+    const yf = y - yi;
+    const X = xi & 255;
+    const Y = yi & 255;
+
+    const n00 = dotGradient(permutation[X + permutation[Y]], xf, yf);
+    const n10 = dotGradient(permutation[X + 1 + permutation[Y]], xf - 1, yf);
+    const n01 = dotGradient(permutation[X + permutation[Y + 1]], xf, yf - 1);
+    const n11 = dotGradient(permutation[X + 1 + permutation[Y + 1]], xf - 1, yf - 1);
+
+    const u = fade(xf);
+    const v = fade(yf);
+    return THREE.MathUtils.lerp(
+      THREE.MathUtils.lerp(n00, n10, u),
+      THREE.MathUtils.lerp(n01, n11, u),
+      v
+    ) * Math.SQRT2;
+  };
+}
+
+// Fractal sum of noise octaves
+function fractalNoise(noise, x, y, octaves) {
+  let sum = 0;
+  let amplitude = 0.5;
+  let frequency = 1;
+  for (let i = 0; i < octaves; i++) {
+    sum += noise(x * frequency, y * frequency) * amplitude;
+    amplitude *= 0.5;
+    frequency *= 2;
+  }
+  return sum;
+}
+
+/**
+ * Generates a terrain heightmap
+ * @param {Object} params - Optional parameters to override defaults
+ * @returns {Object} The heightmap, with heights relative to the water level
+ */
+export function generateHeightmap(params = {}) {
+  const settings = { ...terrainParams, ...params };
+  const random = createRandom(settings.seed);
+  const coastNoise = createNoise2D(random);
+  const detailNoise = createNoise2D(random);
+
+  const [width, depth] = settings.size;
+  const [centerX, centerZ] = settings.center;
+  const resolution = settings.resolution;
+  const vertices = resolution + 1;
+
+  // Height of one island's profile: a dome inside the coastline, and a
+  // shelf sloping down to the bed outside it
+  function islandHeight(island, x, z) {
+    const dx = x - island.position[0];
+    const dz = z - island.position[1];
+    const ragged = 1 + settings.coastNoise *
+      fractalNoise(coastNoise, x * settings.noiseScale, z * settings.noiseScale, 3) * 2;
+    const distance = Math.sqrt(dx * dx + dz * dz) / ragged;
+
+    if (distance < island.radius) {
+      const t = distance / island.radius;
+      return island.height * (1 - t * t) * (1 - 0.3 * t);
+    }
+    const shelf = THREE.MathUtils.smoothstep(distance, island.radius, island.radius + settings.shelfWidth);
+    return -settings.bedDepth * shelf;
+  }
+
+  // Row-major heights: index = row (along z) * vertices + column (along x)
+  const heights = new Float32Array(vertices * vertices);
+  for (let row = 0; row < vertices; row++) {
+    const z = centerZ - depth / 2 + depth * row / resolution;
+    for (let column = 0; column < vertices; column++) {
+      const x = centerX - width / 2 + width * column / resolution;
+
+      let height = -settings.bedDepth;
+      for (const island of settings.islands) {
+        height = Math.max(height, islandHeight(island, x, z));
+      }
+      height += fractalNoise(detailNoise, x * settings.noiseScale * 4, z * settings.noiseScale * 4, 3) *
+        settings.detailNoise;
+
+      heights[row * vertices + column] = height;
+    }
+  }
+
+  /**
+   * Ground height at a world position, relative to the water level
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   * @returns {number} Height (the bed depth outside the terrain)
+   */
+  function getHeight(x, z) {
+    const fx = THREE.MathUtils.clamp((x - centerX + width / 2) / width * resolution, 0, resolution);
+    const fz = THREE.MathUtils.clamp((z - centerZ + depth / 2) / depth * resolution, 0, resolution);
+    const column = Math.min(Math.floor(fx), resolution - 1);
+    const row = Math.min(Math.floor(fz), resolution - 1);
+    const tx = fx - column;
+    const tz = fz - row;
+
+    const index = row * vertices + column;
+    const top = heights[index] * (1 - tx) + heights[index + 1] * tx;
+    const bottom = heights[index + vertices] * (1 - tx) + heights[index + vertices + 1] * tx;
+    return top * (1 - tz) + bottom * tz;
+  }
+
+  return {
+    settings,
+    heights,
+    getHeight
+  };
+}
+
+// Blend ground colors for a vertex from its height above the water and slope
+function groundColor(height, slope, settings, target) {
+  const sandWeight = 1 - THREE.MathUtils.smoothstep(height, settings.beachHeight, settings.beachHeight + 0.4);
+  const mudWeight = 1 - THREE.MathUtils.smoothstep(height, -1.5, -0.3);
+  const rockWeight = THREE.MathUtils.smoothstep(slope, 0.5, 0.8);
+
+  target.copy(groundColors.grass);
+  target.lerp(groundColors.sand, sandWeight);
+  target.lerp(groundColors.mud, mudWeight);
+  target.lerp(groundColors.rock, rockWeight * (1 - mudWeight));
+  return target;
+}
+
+/**
+ * Creates the terrain mesh and its heightfield collider
+ * @param {Object} params - Optional parameters to override defaults
+ * @param {number} waterLevel - Height of the water surface the terrain is built around
+ * @param {THREE.Scene} scene - Scene to add the mesh to
+ * @param {RAPIER.World} world - World to add the collider to
+ * @returns {Object} The terrain object
+ */
+export function createTerrain(params, waterLevel, scene, world) {
+  const heightmap = generateHeightmap(params);
+  const { settings, heights } = heightmap;
+  const [width, depth] = settings.size;
+  const [centerX, centerZ] = settings.center;
+  const resolution = settings.resolution;
+  const vertices = resolution + 1;
+
+  // Lay a plane flat; its rows then run along +z, matching the heightmap
+  const geometry = new THREE.PlaneGeometry(width, depth, resolution, resolution);
+  geometry.rotateX(-Math.PI / 2);
+  const positions = geometry.attributes.position;
+  for (let i = 0; i < positions.count; i++) {
+    const column = Math.round((positions.getX(i) + width / 2) / width * resolution);
+    const row = Math.round((positions.getZ(i) + depth / 2) / depth * resolution);
+    positions.setY(i, heights[row * vertices + column]);
+  }
+  geometry.computeVertexNormals();
+
+  // Vertex colors blend mud, sand, grass and rock
+  const normals = geometry.attributes.normal;
+  const colors = new Float32Array(positions.count * 3);
+  const color = new THREE.Color();
+  for (let i = 0; i < positions.count; i++) {
+    const slope = 1 - normals.getY(i);
+    groundColor(positions.getY(i), slope, settings, color).toArray(colors, i * 3);
+  }
+  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+
+  const material = new THREE.MeshStandardMaterial({ vertexColors: true, roughness: 0.95 });
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.position.set(centerX, waterLevel, centerZ);
+  scene.add(mesh);
+
+  // Rapier heightfields are column-major with rows along z
+  const colliderHeights = new Float32Array(vertices * vertices);
+  for (let row = 0; row < vertices; row++) {
+    for (let column = 0; column < vertices; column++) {
+      colliderHeights[column * vertices + row] = heights[row * vertices + column];
+    }
+  }
+  const body = world.createRigidBody(
+    RAPIER.RigidBodyDesc.fixed().setTranslation(centerX, waterLevel, centerZ)
+  );
+  world.createCollider(
+    RAPIER.ColliderDesc.heightfield(resolution, resolution, colliderHeights, { x: width, y: 1, z: depth }),
+    body
+  );
+
+  return {
+    mesh,
+    body,
+    heightmap,
+
+    /**
+     * World-space ground height
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @returns {number} Ground height
+     */
+    getHeight: function(x, z) {
+      return waterLevel + heightmap.getHeight(x, z);
+    },
+
+    // Remove the mesh and collider
+    dispose: function() {
+      scene.remove(mesh);
+      world.removeRigidBody(body);
+      geometry.dispose();
+      material.dispose();
+    }
+  };
+}
+
+// Export parameters for use elsewhere
+export { terrainParams };
@@ -0,0 +1,295 @@
+/**
+ * Underwater Effects
+ *
+ * This file switches the view into an underwater look when the camera drops
+ * below the wave surface: exponential blue-green fog, a color-graded final
+ * image, and animated caustics projected onto submerged geometry. The
+ * caustics are also visible from above, through the water.
+ */
+
+import * as THREE from 'three';
+import { waterSettings } from './water-settings.js';
+
+/**
+ * Generates GLSL for an animated caustics pattern
+ * @returns {string} GLSL source declaring `float causticsPattern(vec2 p, float t)`
+ */
+export function generateCausticsGLSL() {
+  return `
+// One layer of caustic filaments: bright where a sum of warped waves
+// crosses zero, which gives the net of thin lines light makes on a pond bed
+float causticsLayer( vec2 p, float t ) {
+    vec2 q = p + vec2( sin( p.y * 1.3 + t ), cos( p.x * 1.7 - t * 0.8 ) ) * 0.6;
+    float v = sin( q.x * 2.1 + t * 0.9 ) + sin( q.y * 2.7 - t * 1.1 ) + sin( ( q.x + q.y ) * 1.6 + t * 0.7 );
+    return pow( 1.0 - abs( v ) / 3.0, 12.0 );
+}
+
+// Two drifting layers at different scales so the pattern never repeats visibly
+float causticsPattern( vec2 p, float t ) {
+    return causticsLayer( p, t ) + causticsLayer( p * 1.37 + vec2( 3.1, 1.7 ), t * 1.23 ) * 0.7;
+}
+`;
+}
+
+// Fullscreen grading pass applied while the camera is underwater
+const gradingVertexShader = `
+varying vec2 vUv;
+
+void main() {
+    vUv = uv;
+    gl_Position = vec4( position.xy, 0.0, 1.0 );
+}
+`;
+
+const gradingFragmentShader = `
+uniform sampler2D sceneTexture;
+uniform vec3 tint;
+uniform float saturation;
+uniform float time;
+
+varying vec2 vUv;
+
+void main() {
+    // A gentle wobble, as if looking through moving water
+    vec2 wobble = vec2( sin( vUv.y * 20.0 + time * 2.0 ), cos( vUv.x * 20.0 + time * 1.7 ) ) * 0.002;
+    vec3 color = texture2D( sceneTexture, vUv + wobble ).rgb;
+
+    // Water soaks up saturation and tints everything blue-green
+    float luma = dot( color, vec3( 0.2126, 0.7152, 0.0722 ) );
+    color = mix( vec3( luma ), color, saturation ) * tint;
+
+    // Darken towards the edges of the view
+    float vignette = smoothstep( 0.9, 0.3, length( vUv - 0.5 ) );
+    color *= mix( 0.6, 1.0, vignette );
+
+    gl_FragColor = vec4( color, 1.0 );
+
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+}
+`;
+
+/**
+ * Creates the underwater effects for a scene
+ * @param {THREE.Scene} scene - The scene to add fog and caustics to
+ * @param {Object} waterPhysics - Water physics simulator from createWaterPhysics
+ * @param {Object} params - Optional parameters
+ * @param {Object} params.store - Settings store to read (defaults to the shared water settings)
+ * @param {THREE.Vector3} params.sunDirection - Direction towards the sun, kept by reference
+ * @returns {Object} The underwater effect object
+ */
+export function createUnderwaterEffect(scene, waterPhysics, params = {}) {
+  const { store = waterSettings, sunDirection = new THREE.Vector3(1, 1, 1).normalize() } = params;
+  const settings = store.values;
+
+  let isUnderwater = false;
+
+  // Scene look to restore on surfacing
+  const aboveWater = { fog: scene.fog, background: scene.background };
+  const fog = new THREE.FogExp2(new THREE.Color(settings.underwaterFogColor), settings.underwaterFogDensity);
+  const fogBackground = new THREE.Color(settings.underwaterFogColor);
+
+  // Uniforms shared by every material that shows caustics
+  const causticsUniforms = {
+    causticsTime: { value: 0 },
+    causticsIntensity: { value: settings.causticsIntensity },
+    causticsScale: { value: settings.causticsScale },
+    causticsWaterLevel: { value: settings.waterLevel },
+    causticsSunDirection: { value: sunDirection },
+    causticsColor: { value: new THREE.Color(settings.sunColor) }
+  };
+
+  // Keep the look in sync with the settings
+  const unsubscribers = [
+    store.subscribe('underwaterFogColor', (value) => {
+      fog.color.set(value);
+      fogBackground.set(value);
+    }),
+    store.subscribe('underwaterFogDensity', (value) => {
+      fog.density = value;
+    }),
+    store.subscribe(['causticsIntensity', 'causticsScale', 'waterLevel'], (value, key) => {
+      const uniformName = key === 'waterLevel' ? 'causticsWaterLevel' : key;
+      causticsUniforms[uniformName].value = value;
+    }),
+    store.subscribe('sunColor', (value) => {
+      causticsUniforms.causticsColor.value.set(value);
+    })
+  ];
+
+  // Fullscreen grading pass; the scene is rendered into a target first
+  const sceneTarget = new THREE.WebGLRenderTarget(1, 1, { type: THREE.HalfFloatType });
+  const gradingMaterial = new THREE.ShaderMaterial({
+    vertexShader: gradingVertexShader,
+    fragmentShader: gradingFragmentShader,
+    uniforms: {
+      sceneTexture: { value: sceneTarget.texture },
+      tint: { value: new THREE.Color(settings.underwaterTint) },
+      saturation: { value: settings.underwaterSaturation },
+      time: { value: 0 }
+    },
+    depthTest: false,
+    depthWrite: false
+  });
+  const gradingQuad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), gradingMaterial);
+  gradingQuad.frustumCulled = false;
+  const gradingScene = new THREE.Scene();
+  gradingScene.add(gradingQuad);
+  const gradingCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+  unsubscribers.push(
+    store.subscribe('underwaterTint', (value) => gradingMaterial.uniforms.tint.value.set(value)),
+    store.subscribe('underwaterSaturation', (value) => {
+      gradingMaterial.uniforms.saturation.value = value;
+    })
+  );
+
+  const drawingBufferSize = new THREE.Vector2();
+
+  // Materials already patched; kept out of userData, which clone() copies
+  const patchedMaterials = new WeakSet();
+
+  /**
+   * Adds projected caustics to a lit mesh material
+   * @param {THREE.Material} material - A standard, physical, lambert or phong material
+   */
+  function applyCaustics(material) {
+    if (patchedMaterials.has(material)) return;
+    if (!material.isMeshStandardMaterial && !material.isMeshLambertMaterial && !material.isMeshPhongMaterial) {
+      return;
+    }
+    patchedMaterials.add(material);
+
+    // Chain onto any existing shader patch, and keep its programs apart
+    // from those of unpatched materials
+    const previousOnBeforeCompile = material.onBeforeCompile;
+    const previousCacheKey = material.customProgramCacheKey();
+    material.customProgramCacheKey = () => `${previousCacheKey}|caustics`;
+    material.onBeforeCompile = function(shader, renderer) {
+      if (previousOnBeforeCompile) previousOnBeforeCompile.call(this, shader, renderer);
+      Object.assign(shader.uniforms, causticsUniforms);
+
+      shader.vertexShader = shader.vertexShader
+        .replace('void main() {', `varying vec3 vCausticsPosition;
+void main() {`)
+        .replace('#include <project_vertex>', `#include <project_vertex>
+	vec4 causticsPosition = vec4( transformed, 1.0 );
+	#ifdef USE_INSTANCING
+		causticsPosition = instanceMatrix * causticsPosition;
+	#endif
+	vCausticsPosition = ( modelMatrix * causticsPosition ).xyz;`);
+
+      shader.fragmentShader = shader.fragmentShader
+        .replace('void main() {', `${generateCausticsGLSL()}
+uniform float causticsTime;
+uniform float causticsIntensity;
+uniform float causticsScale;
+uniform float causticsWaterLevel;
+uniform vec3 causticsSunDirection;
+uniform vec3 causticsColor;
+varying vec3 vCausticsPosition;
+
+void main() {`)
+        .replace('#include <opaque_fragment>', `
+	// Caustics: trace back along the sunlight to where it entered the water
+	float causticsDepth = causticsWaterLevel - vCausticsPosition.y;
+	if ( causticsDepth > 0.0 && causticsSunDirection.y > 0.0 ) {
+		vec2 entry = vCausticsPosition.xz + causticsSunDirection.xz / causticsSunDirection.y * causticsDepth;
+		float light = causticsPattern( entry * causticsScale, causticsTime );
+		// Strongest a little under the surface, fading into the depths,
+		// and only on faces turned towards the light
+		float fade = smoothstep( 0.0, 0.3, causticsDepth ) * exp( -causticsDepth * 0.35 );
+		float facing = max( dot( normal, normalize( ( viewMatrix * vec4( causticsSunDirection, 0.0 ) ).xyz ) ), 0.0 );
+		outgoingLight += diffuseColor.rgb * causticsColor * light * fade * facing * causticsIntensity;
+	}
+	#include <opaque_fragment>`);
+    };
+    material.needsUpdate = true;
+  }
+
+  // Patch every lit material under an object that hasn't been patched yet.
+  // Whatever creates meshes after this effect calls it on them.
+  function applyCausticsToObject(root) {
+    root.traverse((object) => {
+      if (!object.isMesh) return;
+      const materials = Array.isArray(object.material) ? object.material : [object.material];
+      materials.forEach(applyCaustics);
+    });
+  }
+
+  function setUnderwater(underwater) {
+    if (underwater === isUnderwater) return;
+    isUnderwater = underwater;
+
+    if (underwater) {
+      aboveWater.fog = scene.fog;
+      aboveWater.background = scene.background;
+      scene.fog = fog;
+      scene.background = fogBackground;
+    } else {
+      scene.fog = aboveWater.fog;
+      scene.background = aboveWater.background;
+    }
+  }
+
+  applyCausticsToObject(scene);
+
+  return {
+    settings,
+    causticsUniforms,
+    applyCaustics,
+    applyCausticsToObject,
+
+    // Whether the camera was below the surface at the last update
+    get isUnderwater() {
+      return isUnderwater;
+    },
+
+    /**
+     * Checks the camera against the wave surface and animates the effects
+     * @param {THREE.Camera} camera - The rendering camera
+     * @param {number} waterLevel - Base height of the water surface
+     * @param {number} time - Elapsed time used by the wave functions
+     */
+    update: function(camera, waterLevel, time) {
+      const surfaceHeight = waterLevel + waterPhysics.getWaterHeight(camera.position.x, camera.position.z, time);
+      setUnderwater(camera.position.y < surfaceHeight);
+
+      causticsUniforms.causticsTime.value = time * settings.waveSpeed;
+      gradingMaterial.uniforms.time.value = time;
+    },
+
+    /**
+     * Renders the scene, color grading it while underwater
+     * @param {THREE.WebGLRenderer} renderer - The renderer
+     * @param {THREE.Scene} scene - The scene to render
+     * @param {THREE.Camera} camera - The rendering camera
+     */
+    render: function(renderer, scene, camera) {
+      if (!isUnderwater) {
+        renderer.render(scene, camera);
+        return;
+      }
+
+      renderer.getDrawingBufferSize(drawingBufferSize);
+      if (sceneTarget.width !== drawingBufferSize.x || sceneTarget.height !== drawingBufferSize.y) {
+        sceneTarget.setSize(drawingBufferSize.x, drawingBufferSize.y);
+      }
+
+      const currentRenderTarget = renderer.getRenderTarget();
+      renderer.setRenderTarget(sceneTarget);
+      renderer.render(scene, camera);
+      renderer.setRenderTarget(currentRenderTarget);
+      renderer.render(gradingScene, gradingCamera);
+    },
+
+    // Restore the scene and release GPU resources
+    dispose: function() {
+      setUnderwater(false);
+      unsubscribers.forEach((unsubscribe) => unsubscribe());
+      sceneTarget.dispose();
+      gradingMaterial.dispose();
+      gradingQuad.geometry.dispose();
+    }
+  };
+}
@@ -0,0 +1,361 @@
+/**
+ * Instanced Vegetation
+ *
+ * This file draws trees, reeds, grass and lily pads with one InstancedMesh
+ * per plant part, so a pond can hold thousands of plants in a handful of
+ * draw calls. Plants sway in a wind that follows the water's wave
+ * direction and speed, distant trees swap to a cheaper single-mesh LOD,
+ * small plants are culled with distance, and tree trunks get colliders.
+ */
+
+import * as THREE from 'three';
+import RAPIER from '@dimforge/rapier3d-compat';
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { generateWaveGLSL } from './wave-spectrum.js';
+import { waterSettings } from './water-settings.js';
+
+// Vegetation parameters
+const vegetationParams = {
+  windStrength: 1.0,        // Overall sway, scaled by the wave height
+  lodUpdateDistance: 1.0    // Camera movement that triggers a LOD re-sort
+};
+
+// Give a geometry a flat vertex color so merged parts keep their colors
+function paint(geometry, color) {
+  const vertexColor = new THREE.Color(color);
+  const colors = new Float32Array(geometry.attributes.position.count * 3);
+  for (let i = 0; i < colors.length; i += 3) vertexColor.toArray(colors, i);
+  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  return geometry;
+}
+
+// Shared geometries and materials, built once for every plant type
+function createPlantTypes() {
+  const reedBlades = [];
+  for (let i = 0; i < 5; i++) {
+    const angle = i / 5 * Math.PI * 2;
+    const bladeHeight = 1.2 + (i % 3) * 0.2;
+    reedBlades.push(
+      new THREE.ConeGeometry(0.03, bladeHeight, 4)
+        .translate(Math.cos(angle) * 0.12, bladeHeight / 2, Math.sin(angle) * 0.12)
+    );
+  }
+
+  const grassBlades = [0, 1, 2].map((i) =>
+    new THREE.PlaneGeometry(0.4, 0.5).translate(0, 0.25, 0).rotateY(i * Math.PI / 3)
+  );
+
+  return {
+    tree: {
+      parts: [
+        {
+          geometry: new THREE.CylinderGeometry(0.2, 0.3, 2, 8).translate(0, 1, 0),
+          material: new THREE.MeshStandardMaterial({ color: 0x8B4513 })
+        },
+        {
+          geometry: new THREE.ConeGeometry(1, 2, 8).translate(0, 2.5, 0),
+          material: new THREE.MeshStandardMaterial({ color: 0x228B22 })
+        }
+      ],
+      // Far LOD: both parts in one coarse, vertex-colored mesh
+      far: {
+        geometry: mergeGeometries([
+          paint(new THREE.CylinderGeometry(0.2, 0.3, 2, 4).translate(0, 1, 0), 0x8B4513),
+          paint(new THREE.ConeGeometry(1, 2, 5).translate(0, 2.5, 0), 0x228B22)
+        ]),
+        material: new THREE.MeshStandardMaterial({ vertexColors: true })
+      },
+      farDistance: 35,
+      cullDistance: Infinity,
+      height: 3.5,
+      flexibility: 0.08,
+      trunk: { halfHeight: 1, radius: 0.25 }
+    },
+    reed: {
+      parts: [{
+        geometry: mergeGeometries(reedBlades),
+        material: new THREE.MeshStandardMaterial({ color: 0x6b7d3a })
+      }],
+      cullDistance: 45,
+      height: 1.6,
+      flexibility: 0.35
+    },
+    grass: {
+      parts: [{
+        geometry: mergeGeometries(grassBlades),
+        material: new THREE.MeshStandardMaterial({ color: 0x5c9a3c, side: THREE.DoubleSide })
+      }],
+      cullDistance: 30,
+      height: 0.5,
+      flexibility: 0.25
+    },
+    lilyPad: {
+      parts: [{
+        // A disc with a notch cut out, lying flat just above the water
+        geometry: new THREE.CircleGeometry(0.4, 16, 0.3, Math.PI * 2 - 0.6).rotateX(-Math.PI / 2).translate(0, 0.02, 0),
+        material: new THREE.MeshStandardMaterial({ color: 0x3f7f2f, side: THREE.DoubleSide })
+      }],
+      cullDistance: 60,
+      floats: true
+    }
+  };
+}
+
+/**
+ * Generates GLSL that bends a plant in the wind
+ * @returns {string} GLSL to run after begin_vertex, moving `transformed`
+ */
+function generateSwayGLSL() {
+  return `
+	// Wind in world space, turned into the instance's own frame
+	#ifdef USE_INSTANCING
+		vec3 swayOrigin = instanceMatrix[ 3 ].xyz;
+		vec3 swayDirection = normalize( ( vec4( windDirection.x, 0.0, windDirection.y, 0.0 ) * instanceMatrix ).xyz );
+	#else
+		vec3 swayOrigin = vec3( 0.0 );
+		vec3 swayDirection = vec3( windDirection.x, 0.0, windDirection.y );
+	#endif
+	// Tips bend, roots stay put; gusts roll across the pond along the wind
+	float swayBend = max( transformed.y, 0.0 ) / plantHeight;
+	float gust = sin( windTime * 1.7 - dot( swayOrigin.xz, windDirection ) * 0.3 ) * 0.6 +
+		sin( windTime * 3.1 + swayOrigin.x * 0.7 + swayOrigin.z * 0.4 ) * 0.4;
+	transformed += swayDirection * windStrength * plantFlexibility * ( 0.6 + 0.4 * gust ) * swayBend * swayBend * plantHeight;`;
+}
+
+/**
+ * Generates GLSL that floats a plant on the wave surface
+ * @returns {string} GLSL to run after begin_vertex, moving `transformed`
+ */
+function generateFloatGLSL() {
+  return `
+	#ifdef USE_INSTANCING
+		vec3 floatOrigin = instanceMatrix[ 3 ].xyz;
+	#else
+		vec3 floatOrigin = vec3( 0.0 );
+	#endif
+	vec3 floatNormal;
+	transformed.y += floatLevel + gerstnerDisplacement( floatOrigin.xz, waveTime, floatNormal ).y;`;
+}
+
+/**
+ * Creates the vegetation system
+ * @param {THREE.Scene} scene - Scene to add the instanced meshes to
+ * @param {RAPIER.World} world - World to add trunk colliders to
+ * @param {Object} params - Optional parameters to override defaults
+ * @param {Object} params.waveSpectrum - Spectrum the wind and floating plants follow
+ * @param {Object} params.store - Settings store to read (defaults to the shared water settings)
+ * @param {Function} params.applyCaustics - Called with each rebuilt mesh to show caustics on it underwater
+ * @returns {Object} The vegetation object
+ */
+export function createVegetation(scene, world, params = {}) {
+  const { waveSpectrum, store = waterSettings, applyCaustics = () => {}, ...overrides } = params;
+  const settings = { ...vegetationParams, ...overrides };
+  const plantTypes = createPlantTypes();
+
+  // Wind uniforms shared by every swaying material
+  const windUniforms = {
+    windTime: { value: 0 },
+    windDirection: { value: new THREE.Vector2(1, 0) },
+    windStrength: { value: 0 }
+  };
+  const floatUniforms = {
+    floatLevel: { value: store.get('waterLevel') }
+  };
+  const unsubscribeWaterLevel = store.subscribe('waterLevel', (value) => {
+    floatUniforms.floatLevel.value = value;
+  });
+
+  // Patch a plant material to sway in the wind or float on the waves
+  function patchMaterial(material, type) {
+    const plantUniforms = {
+      plantHeight: { value: type.height || 1 },
+      plantFlexibility: { value: type.flexibility || 0 }
+    };
+
+    material.onBeforeCompile = function(shader) {
+      if (type.floats) {
+        Object.assign(shader.uniforms, floatUniforms, waveSpectrum.uniforms);
+        shader.vertexShader = shader.vertexShader
+          .replace('void main() {', `${generateWaveGLSL(waveSpectrum.waves.length)}
+uniform float floatLevel;
+void main() {`)
+          .replace('#include <begin_vertex>', `#include <begin_vertex>${generateFloatGLSL()}`);
+      } else {
+        Object.assign(shader.uniforms, windUniforms, plantUniforms);
+        shader.vertexShader = shader.vertexShader
+          .replace('void main() {', `uniform float windTime;
+uniform vec2 windDirection;
+uniform float windStrength;
+uniform float plantHeight;
+uniform float plantFlexibility;
+void main() {`)
+          .replace('#include <begin_vertex>', `#include <begin_vertex>${generateSwayGLSL()}`);
+      }
+    };
+    material.customProgramCacheKey = () => (type.floats ? 'vegetation-float' : 'vegetation-sway');
+  }
+
+  // Instances and meshes per plant type
+  const groups = {};
+  const trunkBodies = [];
+
+  function createGroup(name) {
+    const type = plantTypes[name];
+    for (const part of [...type.parts, ...(type.far ? [type.far] : [])]) {
+      patchMaterial(part.material, type);
+    }
+    groups[name] = { type, instances: [], nearMeshes: [], farMesh: null };
+    return groups[name];
+  }
+
+  // (Re)build a group's instanced meshes to fit its instances
+  function rebuildMeshes(group) {
+    for (const mesh of [...group.nearMeshes, group.farMesh]) {
+      if (!mesh) continue;
+      scene.remove(mesh);
+      mesh.dispose();
+    }
+
+    const capacity = group.instances.length;
+    const createMesh = (part) => {
+      const mesh = new THREE.InstancedMesh(part.geometry, part.material, capacity);
+      // Instances are re-sorted by distance every so often, so bounds
+      // computed from them would go stale
+      mesh.frustumCulled = false;
+      mesh.count = 0;
+      scene.add(mesh);
+      applyCaustics(mesh);
+      return mesh;
+    };
+    group.nearMeshes = group.type.parts.map(createMesh);
+    group.farMesh = group.type.far ? createMesh(group.type.far) : null;
+  }
+
+  const instanceQuaternion = new THREE.Quaternion();
+  const instanceScale = new THREE.Vector3();
+  const lastCameraPosition = new THREE.Vector3(Infinity, Infinity, Infinity);
+
+  /**
+   * Adds plants of one type
+   * @param {string} name - 'tree', 'reed', 'grass' or 'lilyPad'
+   * @param {Object[]} plants - Plants as { position: THREE.Vector3, scale, rotation }
+   */
+  function addPlants(name, plants) {
+    if (!plantTypes[name]) {
+      throw new Error(`Unknown plant type "${name}"`);
+    }
+    const group = groups[name] || createGroup(name);
+    const { type } = group;
+
+    for (const plant of plants) {
+      const scale = plant.scale || 1;
+      const position = plant.position.clone();
+      // Floating plants are placed relative to the water surface in the shader
+      if (type.floats) position.y = 0;
+
+      instanceQuaternion.setFromAxisAngle(THREE.Object3D.DEFAULT_UP, plant.rotation || 0);
+      instanceScale.setScalar(scale);
+      const matrix = new THREE.Matrix4().compose(position, instanceQuaternion, instanceScale);
+      group.instances.push({ position, matrix });
+
+      if (type.trunk) {
+        const body = world.createRigidBody(
+          RAPIER.RigidBodyDesc.fixed().setTranslation(position.x, position.y + type.trunk.halfHeight * scale, position.z)
+        );
+        world.createCollider(
+          RAPIER.ColliderDesc.cylinder(type.trunk.halfHeight * scale, type.trunk.radius * scale),
+          body
+        );
+        trunkBodies.push(body);
+      }
+    }
+
+    rebuildMeshes(group);
+    lastCameraPosition.set(Infinity, Infinity, Infinity);
+  }
+
+  // Sort instances into near, far and culled by distance to the camera
+  function updateLevelsOfDetail(cameraPosition) {
+    for (const group of Object.values(groups)) {
+      const { type, instances, nearMeshes, farMesh } = group;
+      const farDistanceSq = type.far ? type.farDistance * type.farDistance : Infinity;
+      const cullDistanceSq = type.cullDistance * type.cullDistance;
+      let nearCount = 0;
+      let farCount = 0;
+
+      for (const instance of instances) {
+        const distanceSq = instance.position.distanceToSquared(cameraPosition);
+        if (distanceSq > cullDistanceSq) continue;
+        if (distanceSq > farDistanceSq) {
+          farMesh.setMatrixAt(farCount++, instance.matrix);
+        } else {
+          for (const mesh of nearMeshes) mesh.setMatrixAt(nearCount, instance.matrix);
+          nearCount++;
+        }
+      }
+
+      for (const mesh of nearMeshes) {
+        mesh.count = nearCount;
+        mesh.instanceMatrix.needsUpdate = true;
+      }
+      if (farMesh) {
+        farMesh.count = farCount;
+        farMesh.instanceMatrix.needsUpdate = true;
+      }
+    }
+  }
+
+  return {
+    settings,
+    addPlants,
+
+    // Number of plants per type
+    getCounts: function() {
+      const counts = {};
+      for (const [name, group] of Object.entries(groups)) counts[name] = group.instances.length;
+      return counts;
+    },
+
+    /**
+     * Animates the wind and updates levels of detail
+     * @param {THREE.Camera} camera - The rendering camera
+     * @param {number} deltaTime - Frame time in seconds
+     */
+    update: function(camera, deltaTime) {
+      // Wind blows the way the waves travel, harder when they're big and fast
+      const waves = waveSpectrum.settings;
+      windUniforms.windDirection.value.copy(waves.waveDirection).normalize();
+      windUniforms.windStrength.value = settings.windStrength * (0.3 + waves.waveHeight * 2) *
+        Math.min(1.5, 0.5 + waves.waveSpeed * 0.5);
+      windUniforms.windTime.value += deltaTime * (0.5 + waves.waveSpeed);
+
+      if (camera.position.distanceToSquared(lastCameraPosition) >
+          settings.lodUpdateDistance * settings.lodUpdateDistance) {
+        lastCameraPosition.copy(camera.position);
+        updateLevelsOfDetail(lastCameraPosition);
+      }
+    },
+
+    // Remove every plant, collider and GPU resource
+    dispose: function() {
+      unsubscribeWaterLevel();
+      for (const group of Object.values(groups)) {
+        for (const mesh of [...group.nearMeshes, group.farMesh]) {
+          if (!mesh) continue;
+          scene.remove(mesh);
+          mesh.dispose();
+        }
+      }
+      for (const body of trunkBodies) world.removeRigidBody(body);
+      for (const type of Object.values(plantTypes)) {
+        for (const part of [...type.parts, ...(type.far ? [type.far] : [])]) {
+          part.geometry.dispose();
+          part.material.dispose();
+        }
+      }
+    }
+  };
+}
+
+// Export parameters for use elsewhere
+export { vegetationParams };
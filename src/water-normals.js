@@ -0,0 +1,180 @@
+/**
+ * Water Normal Maps
+ *
+ * This file provides the water's normal map without any external URL. The
+ * bundled map in src/assets is baked by scripts/bake-water-normals.mjs; the
+ * same generator can also bake a map at startup, tiling seamlessly, whose
+ * scale and sharpness are adjustable live from the settings.
+ */
+
+import * as THREE from 'three';
+import { createRandom } from './random.js';
+import { waterSettings } from './water-settings.js';
+
+// Default normal map generator parameters
+const waterNormalsParams = {
+  size: 256,        // Texture width and height in pixels
+  scale: 4,         // Noise cells across the texture at the coarsest octave
+  sharpness: 1.0,   // Steepness of the ripples
+  octaves: 4,       // Detail layers, each twice as fine as the last
+  seed: 3
+};
+
+// Settings that change the baked map
+const normalMapSettingKeys = ['normalMapSource', 'normalMapScale', 'normalMapSharpness'];
+
+/**
+ * Creates seeded 2D gradient noise that repeats every `period` cells
+ * @param {Function} random - Generator from createRandom
+ * @returns {Function} noise(x, y, period) in roughly [-1, 1]
+ */
+function createTileableNoise(random) {
+  const permutation = Array.from({ length: 256 }, (_, i) => i);
+  for (let i = 255; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+  }
+  const angles = Array.from({ length: 256 }, () => random() * Math.PI * 2);
+
+  // Lattice points are wrapped before hashing, so opposite edges match
+  function dotGradient(ix, iy, period, x, y) {
+    const wrappedX = ((ix % period) + period) % period;
+    const wrappedY = ((iy % period) + period) % period;
+    const angle = angles[permutation[(permutation[wrappedX & 255] + wrappedY) & 255]];
+    return Math.cos(angle) * x + Math.sin(angle) * y;
+  }
+
+  const fade = (t) => t * t * t * (t * (t * 6 - 15) + 10);
+
+  return function noise(x, y, period) {
+    const ix = Math.floor(x);
+    const iy = Math.floor(y);
+    const fx = x - ix;
+    const fy = y - iy;
+
+    const n00 = dotGradient(ix, iy, period, fx, fy);
+    const n10 = dotGradient(ix + 1, iy, period, fx - 1, fy);
+    const n01 = dotGradient(ix, iy + 1, period, fx, fy - 1);
+    const n11 = dotGradient(ix + 1, iy + 1, period, fx - 1, fy - 1);
+
+    const u = fade(fx);
+    const v = fade(fy);
+    return THREE.MathUtils.lerp(
+      THREE.MathUtils.lerp(n00, n10, u),
+      THREE.MathUtils.lerp(n01, n11, u),
+      v
+    ) * Math.SQRT2;
+  };
+}
+
+/**
+ * Bakes a tileable water normal map
+ * @param {Object} params - Optional parameters to override defaults
+ * @returns {Uint8Array} RGBA pixels, rows from the bottom, normals with +Z up
+ */
+export function bakeWaterNormals(params = {}) {
+  const settings = { ...waterNormalsParams, ...params };
+  const { size, octaves } = settings;
+  const scale = Math.max(1, Math.round(settings.scale));
+  const noise = createTileableNoise(createRandom(settings.seed));
+
+  // Fractal height field, each octave tiling over the whole texture
+  const heights = new Float32Array(size * size);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      let height = 0;
+      let amplitude = 0.5;
+      let period = scale;
+      for (let octave = 0; octave < octaves; octave++) {
+        height += noise(x / size * period, y / size * period, period) * amplitude;
+        amplitude *= 0.4;
+        period *= 2;
+      }
+      heights[y * size + x] = height;
+    }
+  }
+
+  // Normals from wrapped central differences, so the edges tile too
+  const pixels = new Uint8Array(size * size * 4);
+
+  // Slopes are measured per noise cell, so the look holds across scales
+  const slopeScale = settings.sharpness * size / (6 * scale);
+  const normal = new THREE.Vector3();
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const left = heights[y * size + (x + size - 1) % size];
+      const right = heights[y * size + (x + 1) % size];
+      const down = heights[((y + size - 1) % size) * size + x];
+      const up = heights[((y + 1) % size) * size + x];
+      normal.set((left - right) * slopeScale, (down - up) * slopeScale, 1).normalize();
+
+      const index = (y * size + x) * 4;
+      pixels[index] = Math.round((normal.x * 0.5 + 0.5) * 255);
+      pixels[index + 1] = Math.round((normal.y * 0.5 + 0.5) * 255);
+      pixels[index + 2] = Math.round((normal.z * 0.5 + 0.5) * 255);
+      pixels[index + 3] = 255;
+    }
+  }
+
+  return pixels;
+}
+
+/**
+ * Bakes a water normal map into a repeating texture
+ * @param {Object} params - Optional parameters to override defaults
+ * @returns {THREE.DataTexture} The normal map
+ */
+export function createProceduralWaterNormals(params = {}) {
+  const settings = { ...waterNormalsParams, ...params };
+  const texture = new THREE.DataTexture(bakeWaterNormals(settings), settings.size, settings.size);
+  texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearMipmapLinearFilter;
+  texture.generateMipmaps = true;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+/**
+ * Keeps a water material's normal map in sync with the settings store:
+ * the bundled map, or a procedural map re-baked as its scale and
+ * sharpness change
+ * @param {THREE.Mesh} water - Water mesh with a normalSampler uniform
+ * @param {THREE.Texture} bundledNormals - The loaded bundled normal map
+ * @param {Object} store - Settings store (defaults to the shared water settings)
+ * @returns {Function} Call to stop following the store
+ */
+export function bindWaterNormals(water, bundledNormals, store = waterSettings) {
+  let proceduralNormals = null;
+
+  function apply() {
+    const uniform = water.material.uniforms.normalSampler;
+    if (store.get('normalMapSource') !== 'procedural') {
+      uniform.value = bundledNormals;
+      return;
+    }
+
+    const params = {
+      scale: store.get('normalMapScale'),
+      sharpness: store.get('normalMapSharpness')
+    };
+    if (proceduralNormals) {
+      proceduralNormals.image.data.set(bakeWaterNormals(params));
+      proceduralNormals.needsUpdate = true;
+    } else {
+      proceduralNormals = createProceduralWaterNormals(params);
+    }
+    uniform.value = proceduralNormals;
+  }
+
+  apply();
+  const unsubscribe = store.subscribe(normalMapSettingKeys, apply);
+
+  return function unbind() {
+    unsubscribe();
+    if (proceduralNormals) proceduralNormals.dispose();
+  };
+}
+
+// Export parameters for use elsewhere
+export { waterNormalsParams };
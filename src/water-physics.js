@@ -2,104 +2,215 @@
  * Advanced Water Physics Simulation
  * 
  * This file contains the physics simulation for water interaction with objects.
- * It implements buoyancy, drag, and wave forces for realistic water physics.
+ * It implements buoyancy, drag, and wave forces for realistic water physics,
+ * and carries bodies along the water's currents.
  */
 
 import * as THREE from 'three';
 import RAPIER from '@dimforge/rapier3d-compat';
-
-// Water physics parameters
-const waterPhysicsParams = {
-  // Buoyancy
-  density: 1.0,           // Water density (1.0 = realistic water)
-  buoyancyMultiplier: 1.2, // Multiplier for buoyancy force
-  
-  // Drag
-  linearDrag: 0.5,        // Linear drag coefficient
-  quadraticDrag: 0.05,    // Quadratic drag coefficient (for faster movements)
-  
-  // Waves
-  waveHeight: 0.2,        // Height of waves
-  waveFrequency: 0.5,     // Frequency of waves
-  waveSpeed: 1.0,         // Speed of wave propagation
-  waveDirection: new THREE.Vector2(1, 1).normalize(), // Direction of wave travel
-  
-  // Advanced
-  surfaceTension: 0.07,   // Surface tension coefficient
-  vorticity: 0.1,         // Vorticity strength (swirling)
-  damping: 0.03,          // Wave damping factor
-  
-  // Performance
-  subSteps: 3,            // Physics sub-steps for stability
-  maxBuoyancyPoints: 8    // Maximum buoyancy sample points per object
-};
+import { createWaveSpectrum } from './wave-spectrum.js';
+import { waterSettings, bindWaveSpectrum } from './water-settings.js';
+import { createRippleField } from './ripple-field.js';
+import { createFlowField } from './flow-field.js';
 
 /**
  * Creates a water physics simulator
  * @param {RAPIER.World} world - The Rapier physics world
- * @param {Object} params - Optional parameters to override defaults
+ * @param {Object} params - Optional settings to apply to the store
+ * @param {Object} params.store - Settings store to read (defaults to the shared water settings)
  * @returns {Object} The water physics simulator object
  */
 export function createWaterPhysics(world, params = {}) {
-  // Merge provided params with defaults
-  const settings = { ...waterPhysicsParams, ...params };
+  const { store = waterSettings, ...overrides } = params;
+  store.update(overrides);
+  
+  // Live view of the settings, so GUI changes apply on the next step
+  const settings = store.values;
+  
+  // Wave shape shared with the water shaders
+  const waveSpectrum = createWaveSpectrum();
+  const unbindWaveSpectrum = bindWaveSpectrum(waveSpectrum, store);
+  
+  // Dynamic ripples stirred up by bodies moving through the water
+  const rippleField = createRippleField({ store });
+  const rippleGradient = new THREE.Vector2();
   
-  // Water surface height function (based on waves)
+  // Currents, whirlpools and streams; still water until flows are set
+  const flowField = createFlowField();
+  const flowVelocity = new THREE.Vector2();
+  
+  // Water surface height function (based on waves and ripples)
   function getWaterHeight(x, z, time) {
-    const waveX = settings.waveDirection.x;
-    const waveZ = settings.waveDirection.y;
-    
-    // Compute multiple overlapping waves for more realistic effect
-    let height = 0;
-    
-    // Primary wave
-    height += Math.sin(
-      (x * waveX + z * waveZ) * settings.waveFrequency + 
-      time * settings.waveSpeed
-    ) * settings.waveHeight;
-    
-    // Secondary wave (perpendicular, smaller)
-    height += Math.sin(
-      (x * -waveZ + z * waveX) * settings.waveFrequency * 1.5 + 
-      time * settings.waveSpeed * 0.8
-    ) * settings.waveHeight * 0.3;
-    
-    // Tertiary wave (diagonal, faster)
-    height += Math.sin(
-      (x * (waveX + waveZ) + z * (waveX - waveZ)) * settings.waveFrequency * 2.3 + 
-      time * settings.waveSpeed * 1.2
-    ) * settings.waveHeight * 0.15;
-    
-    return height;
+    return waveSpectrum.getHeight(x, z, time) + rippleField.getHeight(x, z);
+  }
+  
+  // Water surface normal function (based on waves and ripples)
+  function getWaterNormal(x, z, time, target = new THREE.Vector3()) {
+    waveSpectrum.getNormal(x, z, time, target);
+    rippleField.getGradient(x, z, rippleGradient);
+    return target.add({ x: -rippleGradient.x, y: 0, z: -rippleGradient.y }).normalize();
   }
   
-  // Calculate buoyancy force for a point
-  function calculateBuoyancyForce(position, waterLevel, time) {
+  // Sample points cached per collider handle, in the collider's local frame
+  const samplePointCache = new Map();
+  
+  // Sample lattices depend on the point budget, so rebuild them when it changes
+  const unsubscribeSamples = store.subscribe('maxBuoyancyPoints', () => {
+    samplePointCache.clear();
+  });
+  
+  // Local-space bounding box of a collider's shape, or null if unsupported
+  function getLocalBounds(collider) {
+    const min = new THREE.Vector3();
+    const max = new THREE.Vector3();
+    
+    switch (collider.shapeType()) {
+      case RAPIER.ShapeType.Ball: {
+        const r = collider.radius();
+        max.set(r, r, r);
+        break;
+      }
+      case RAPIER.ShapeType.Cuboid:
+      case RAPIER.ShapeType.RoundCuboid: {
+        const halfExtents = collider.halfExtents();
+        const round = collider.shapeType() === RAPIER.ShapeType.RoundCuboid ?
+          collider.roundRadius() : 0;
+        max.set(halfExtents.x + round, halfExtents.y + round, halfExtents.z + round);
+        break;
+      }
+      case RAPIER.ShapeType.Capsule: {
+        const r = collider.radius();
+        max.set(r, collider.halfHeight() + r, r);
+        break;
+      }
+      case RAPIER.ShapeType.Cylinder:
+      case RAPIER.ShapeType.Cone: {
+        const r = collider.radius();
+        max.set(r, collider.halfHeight(), r);
+        break;
+      }
+      case RAPIER.ShapeType.ConvexPolyhedron:
+      case RAPIER.ShapeType.RoundConvexPolyhedron: {
+        const vertices = collider.vertices();
+        min.set(Infinity, Infinity, Infinity);
+        max.set(-Infinity, -Infinity, -Infinity);
+        for (let i = 0; i < vertices.length; i += 3) {
+          min.min({ x: vertices[i], y: vertices[i + 1], z: vertices[i + 2] });
+          max.max({ x: vertices[i], y: vertices[i + 1], z: vertices[i + 2] });
+        }
+        if (collider.shapeType() === RAPIER.ShapeType.RoundConvexPolyhedron) {
+          min.subScalar(collider.roundRadius());
+          max.addScalar(collider.roundRadius());
+        }
+        return { min, max };
+      }
+      default:
+        // Trimeshes, heightfields and friends don't enclose a volume
+        return null;
+    }
+    
+    min.copy(max).negate();
+    return { min, max };
+  }
+  
+  // Build a deterministic lattice of sample points filling a collider's volume
+  function generateSamplePoints(collider) {
+    const bounds = getLocalBounds(collider);
+    if (!bounds) return null;
+    
+    const size = new THREE.Vector3().subVectors(bounds.max, bounds.min);
+    
+    // Pick a cell size giving roughly maxBuoyancyPoints cells in the box,
+    // then shrink counts until the lattice fits the budget
+    const cellSize = Math.cbrt((size.x * size.y * size.z) / settings.maxBuoyancyPoints);
+    const counts = [size.x, size.y, size.z].map((extent) =>
+      Math.max(1, Math.round(extent / cellSize))
+    );
+    while (counts[0] * counts[1] * counts[2] > settings.maxBuoyancyPoints) {
+      const largest = counts.indexOf(Math.max(...counts));
+      counts[largest]--;
+    }
+    
+    const cell = new THREE.Vector3(size.x / counts[0], size.y / counts[1], size.z / counts[2]);
+    
+    // Keep only lattice points inside the actual shape, using the
+    // collider's current pose to test containment
+    const colliderPosition = new THREE.Vector3().copy(collider.translation());
+    const colliderRotation = new THREE.Quaternion().copy(collider.rotation());
+    const worldPoint = new THREE.Vector3();
+    const points = [];
+    
+    for (let ix = 0; ix < counts[0]; ix++) {
+      for (let iy = 0; iy < counts[1]; iy++) {
+        for (let iz = 0; iz < counts[2]; iz++) {
+          const localPoint = new THREE.Vector3(
+            bounds.min.x + (ix + 0.5) * cell.x,
+            bounds.min.y + (iy + 0.5) * cell.y,
+            bounds.min.z + (iz + 0.5) * cell.z
+          );
+          
+          worldPoint.copy(localPoint).applyQuaternion(colliderRotation).add(colliderPosition);
+          if (collider.containsPoint(worldPoint)) {
+            points.push(localPoint);
+          }
+        }
+      }
+    }
+    
+    // Shapes too thin for the lattice still get a single point at the centre
+    if (points.length === 0) {
+      points.push(new THREE.Vector3().addVectors(bounds.min, bounds.max).multiplyScalar(0.5));
+    }
+    
+    return {
+      points,
+      pointVolume: collider.volume() / points.length,
+      // Each point stands for a cell of this height when measuring submersion
+      pointHeight: cell.y
+    };
+  }
+  
+  // Get (and cache) the sample points for a collider
+  function getSamplePoints(collider) {
+    let samples = samplePointCache.get(collider.handle);
+    if (samples === undefined) {
+      samples = generateSamplePoints(collider);
+      samplePointCache.set(collider.handle, samples);
+    }
+    return samples;
+  }
+  
+  // Calculate buoyancy force for a sample point
+  function calculateBuoyancyForce(position, waterLevel, time, pointVolume, pointHeight) {
     // Get actual water height at this position including waves
     const actualWaterHeight = waterLevel + 
       getWaterHeight(position.x, position.z, time);
     
+    // Fraction of this point's cell below the surface, ramped smoothly so
+    // the force doesn't jump as points cross the waterline
+    const submergedFraction = THREE.MathUtils.clamp(
+      (actualWaterHeight - position.y) / pointHeight + 0.5, 0, 1
+    );
+    
     // If point is above water, no buoyancy
-    if (position.y > actualWaterHeight) {
-      return { force: new THREE.Vector3(0, 0, 0), submergedDepth: 0 };
+    if (submergedFraction === 0) {
+      return { force: new THREE.Vector3(0, 0, 0), submergedFraction };
     }
     
-    // Calculate submersion depth
-    const submergedDepth = actualWaterHeight - position.y;
-    
-    // Calculate buoyancy force (F = density * g * volume)
-    // We approximate volume as proportional to submerged depth
-    const buoyancyForce = settings.density * 9.81 * submergedDepth * settings.buoyancyMultiplier;
+    // Archimedes: F = density * g * submerged volume
+    const buoyancyForce = settings.density * 9.81 * pointVolume * submergedFraction *
+      settings.buoyancyMultiplier;
     
-    // Create force vector (only upward for basic buoyancy)
+    // Create force vector (buoyancy always acts straight up)
     const force = new THREE.Vector3(0, buoyancyForce, 0);
     
-    return { force, submergedDepth };
+    return { force, submergedFraction };
   }
   
-  // Calculate drag force for an object
-  function calculateDragForce(velocity, submergedDepth) {
-    if (submergedDepth <= 0) return new THREE.Vector3(0, 0, 0);
+  // Calculate drag force for a sample point, from its velocity relative
+  // to the water around it
+  function calculateDragForce(velocity, submergedFraction, pointVolume) {
+    if (submergedFraction <= 0) return new THREE.Vector3(0, 0, 0);
     
     // Get velocity magnitude
     const speed = velocity.length();
@@ -107,11 +218,12 @@ export function createWaterPhysics(world, params = {}) {
     // No drag if not moving
     if (speed < 0.001) return new THREE.Vector3(0, 0, 0);
     
-    // Calculate drag magnitude (linear + quadratic components)
+    // Calculate drag magnitude (linear + quadratic components), scaled by
+    // how much water this point displaces
     const dragMagnitude = (
       settings.linearDrag * speed + 
       settings.quadraticDrag * speed * speed
-    ) * submergedDepth;
+    ) * settings.density * pointVolume * submergedFraction;
     
     // Create normalized and scaled drag force (opposite to velocity)
     const dragForce = velocity.clone().normalize().multiplyScalar(-dragMagnitude);
@@ -119,105 +231,174 @@ export function createWaterPhysics(world, params = {}) {
     return dragForce;
   }
   
-  // Apply water physics to a rigid body
+  // Stir up ripples around a body crossing the surface, and let the
+  // ripples already there push it around
+  function applyRippleInteraction(rigidBody, position, linvel, submergedRatio,
+    submergedVolume, totalVolume, deltaTime) {
+    // Only bodies cutting through the surface make waves
+    if (submergedRatio < 1) {
+      const horizontalSpeed = Math.hypot(linvel.x, linvel.z);
+      const radius = Math.cbrt(totalVolume) * 0.5;
+      const amount = (horizontalSpeed + Math.abs(linvel.y)) * submergedRatio *
+        settings.rippleStrength * deltaTime * 0.1;
+      
+      // Push the water down where the body is, raising a wake around it
+      rippleField.disturb(position.x, position.z, -amount, radius);
+    }
+    
+    // Pressure from the ripple slope pushes the body downhill
+    rippleField.getGradient(position.x, position.z, rippleGradient);
+    const push = settings.density * 9.81 * submergedVolume * settings.ripplePush * deltaTime;
+    rigidBody.applyImpulse(
+      { x: -rippleGradient.x * push, y: 0, z: -rippleGradient.y * push },
+      true
+    );
+  }
+  
+  // Beyond drag, the surface film carries floating bodies along with the
+  // flow, and the flow's swirl turns bodies in it
+  function applyFlowInteraction(rigidBody, position, linvel, angvel, submergedRatio, deltaTime) {
+    const mass = rigidBody.mass();
+    
+    // surfaceTension is how quickly (1/s) a floating body matches the flow
+    if (submergedRatio < 1) {
+      flowField.getVelocity(position.x, position.z, flowVelocity);
+      const film = mass * settings.surfaceTension * deltaTime;
+      rigidBody.applyImpulse(
+        { x: (flowVelocity.x - linvel.x) * film, y: 0, z: (flowVelocity.y - linvel.z) * film },
+        true
+      );
+    }
+    
+    // vorticity is how quickly (1/s) a body picks up the water's spin,
+    // which is half the flow's curl
+    const inertia = rigidBody.principalInertia();
+    const spinInertia = (inertia.x + inertia.y + inertia.z) / 3;
+    const waterSpin = flowField.getCurl(position.x, position.z) * 0.5;
+    rigidBody.applyTorqueImpulse(
+      {
+        x: 0,
+        y: (waterSpin - angvel.y) * spinInertia * settings.vorticity * submergedRatio * deltaTime,
+        z: 0
+      },
+      true
+    );
+  }
+  
+  // damping is how quickly (1/s) the water steadies a body in it, on top
+  // of drag: it bleeds off the body's motion relative to the flow, and
+  // its spin, whatever the body's size or shape
+  function applyDamping(rigidBody, position, linvel, angvel, submergedRatio, deltaTime) {
+    const decay = 1 - Math.exp(-settings.damping * submergedRatio * deltaTime);
+    if (decay === 0) return;
+    
+    flowField.getVelocity(position.x, position.z, flowVelocity);
+    const momentum = rigidBody.mass() * decay;
+    rigidBody.applyImpulse(
+      {
+        x: (flowVelocity.x - linvel.x) * momentum,
+        y: -linvel.y * momentum,
+        z: (flowVelocity.y - linvel.z) * momentum
+      },
+      true
+    );
+    
+    const inertia = rigidBody.principalInertia();
+    const spin = (inertia.x + inertia.y + inertia.z) / 3 * decay;
+    rigidBody.applyTorqueImpulse({ x: -angvel.x * spin, y: -angvel.y * spin, z: -angvel.z * spin }, true);
+  }
+  
+  // Fraction of each body's volume under water at the last update, by handle
+  const submergedRatios = new Map();
+  
+  // Apply water physics to a rigid body. Bodies can carry their own
+  // dragScale and buoyancyScale in their user data (see props.js).
   function applyWaterPhysics(rigidBody, waterLevel, time, deltaTime) {
     // Get body properties
+    const { dragScale = 1, buoyancyScale = 1 } = rigidBody.userData || {};
     const position = rigidBody.translation();
-    const velocity = rigidBody.linvel();
-    const rotation = rigidBody.rotation();
+    const linvel = rigidBody.linvel();
+    const angvel = new THREE.Vector3().copy(rigidBody.angvel());
+    const centerOfMass = new THREE.Vector3().copy(rigidBody.worldCom());
     
     // Skip if far above water
+    submergedRatios.set(rigidBody.handle, 0);
     if (position.y > waterLevel + 5) return;
     
-    // Get collider for dimensions
-    const collider = world.getCollider(rigidBody.collider(0));
-    if (!collider) return;
-    
-    // Generate buoyancy points based on collider type
-    const buoyancyPoints = [];
-    
-    // For simplicity, we'll use a basic approach with a few sample points
-    // In a more advanced implementation, you'd sample the actual collider shape
-    
-    // Get approximate dimensions (assuming box-like shape)
-    const halfExtents = new THREE.Vector3(0.5, 0.5, 0.5);
-    
-    // For cuboid colliders, get actual half-extents
-    if (collider.type() === RAPIER.ShapeType.Cuboid) {
-      const cuboidHalfExtents = collider.halfExtents();
-      halfExtents.set(cuboidHalfExtents.x, cuboidHalfExtents.y, cuboidHalfExtents.z);
-    }
+    const worldPoint = new THREE.Vector3();
+    const pointVelocity = new THREE.Vector3();
+    const colliderPosition = new THREE.Vector3();
+    const colliderRotation = new THREE.Quaternion();
     
-    // Generate sample points distributed throughout the object's volume
-    const numPoints = Math.min(settings.maxBuoyancyPoints, 
-      Math.ceil(halfExtents.x * halfExtents.y * halfExtents.z * 8));
+    let submergedVolume = 0;
+    let totalVolume = 0;
     
-    for (let i = 0; i < numPoints; i++) {
-      // Create points distributed throughout the volume
-      // This is a simplified approach - more sophisticated sampling would be better
-      const px = (Math.random() * 2 - 1) * halfExtents.x;
-      const py = (Math.random() * 2 - 1) * halfExtents.y;
-      const pz = (Math.random() * 2 - 1) * halfExtents.z;
+    for (let i = 0; i < rigidBody.numColliders(); i++) {
+      const collider = rigidBody.collider(i);
+      if (collider.isSensor()) continue;
       
-      // Transform point to world space
-      const worldPoint = new THREE.Vector3(
-        position.x + px,
-        position.y + py,
-        position.z + pz
-      );
+      const samples = getSamplePoints(collider);
+      if (!samples) continue;
       
-      buoyancyPoints.push(worldPoint);
-    }
-    
-    // Apply forces for each buoyancy point
-    let totalBuoyancyForce = new THREE.Vector3(0, 0, 0);
-    let totalDragForce = new THREE.Vector3(0, 0, 0);
-    let averageSubmergedDepth = 0;
-    
-    for (const point of buoyancyPoints) {
-      // Calculate buoyancy at this point
-      const { force, submergedDepth } = calculateBuoyancyForce(point, waterLevel, time);
+      // The collider's world pose already includes the body's rotation
+      colliderPosition.copy(collider.translation());
+      colliderRotation.copy(collider.rotation());
       
-      // Accumulate forces
-      totalBuoyancyForce.add(force);
-      averageSubmergedDepth += submergedDepth;
+      for (const localPoint of samples.points) {
+        worldPoint.copy(localPoint).applyQuaternion(colliderRotation).add(colliderPosition);
+        
+        const { force, submergedFraction } = calculateBuoyancyForce(
+          worldPoint, waterLevel, time, samples.pointVolume, samples.pointHeight
+        );
+        
+        totalVolume += samples.pointVolume;
+        if (submergedFraction === 0) continue;
+        submergedVolume += samples.pointVolume * submergedFraction;
+        force.multiplyScalar(buoyancyScale);
+        
+        // Velocity of the point itself, so spinning bodies are damped too,
+        // relative to the flowing water so currents drag bodies along
+        pointVelocity.subVectors(worldPoint, centerOfMass).cross(angvel).negate().add(linvel);
+        if (flowField.hasFlows) {
+          flowField.getVelocity(worldPoint.x, worldPoint.z, flowVelocity);
+          pointVelocity.x -= flowVelocity.x;
+          pointVelocity.z -= flowVelocity.y;
+        }
+        force.add(calculateDragForce(pointVelocity, submergedFraction, samples.pointVolume).multiplyScalar(dragScale));
+        
+        // Applying at the point produces the torque that tips and rights the body
+        rigidBody.applyImpulseAtPoint(
+          {
+            x: force.x * deltaTime,
+            y: force.y * deltaTime,
+            z: force.z * deltaTime
+          },
+          worldPoint,
+          true
+        );
+      }
     }
     
-    // Average the submerged depth
-    averageSubmergedDepth /= buoyancyPoints.length;
-    
-    // Calculate drag based on average submersion
-    totalDragForce = calculateDragForce(
-      new THREE.Vector3(velocity.x, velocity.y, velocity.z),
-      averageSubmergedDepth
-    );
-    
-    // Apply the accumulated forces
-    if (totalBuoyancyForce.lengthSq() > 0) {
-      rigidBody.applyImpulse(
-        { x: 0, y: totalBuoyancyForce.y * deltaTime, z: 0 },
-        true
-      );
-    }
+    if (totalVolume === 0) return;
+    const submergedRatio = submergedVolume / totalVolume;
+    submergedRatios.set(rigidBody.handle, submergedRatio);
     
-    if (totalDragForce.lengthSq() > 0) {
-      rigidBody.applyImpulse(
-        { 
-          x: totalDragForce.x * deltaTime,
-          y: totalDragForce.y * deltaTime,
-          z: totalDragForce.z * deltaTime
-        },
-        true
-      );
+    if (submergedRatio > 0) {
+      applyRippleInteraction(rigidBody, position, linvel, submergedRatio, submergedVolume, totalVolume, deltaTime);
+      if (flowField.hasFlows) {
+        applyFlowInteraction(rigidBody, position, linvel, angvel, submergedRatio, deltaTime);
+      }
+      applyDamping(rigidBody, position, linvel, angvel, submergedRatio, deltaTime);
     }
     
     // Apply wave forces for objects at the surface
-    if (averageSubmergedDepth > 0 && averageSubmergedDepth < halfExtents.y * 2) {
+    if (submergedRatio > 0 && submergedRatio < 1) {
       // Calculate wave direction force
+      const waveDirection = waveSpectrum.settings.waveDirection;
       const waveForce = new THREE.Vector3(
-        settings.waveDirection.x,
+        waveDirection.x,
         0,
-        settings.waveDirection.y
+        waveDirection.y
       ).multiplyScalar(
         settings.waveHeight * 0.5 * Math.sin(time * settings.waveSpeed)
       );
@@ -232,23 +413,51 @@ export function createWaterPhysics(world, params = {}) {
   // Return the water physics simulator object
   return {
     settings,
+    waveSpectrum,
+    rippleField,
+    flowField,
     getWaterHeight,
+    getWaterNormal,
     applyWaterPhysics,
     
+    /**
+     * How much of a body was under water at the last update
+     * @param {RAPIER.RigidBody} rigidBody - A dynamic body
+     * @returns {number} Submerged fraction of its volume, 0 to 1
+     */
+    getSubmergedRatio: function(rigidBody) {
+      return submergedRatios.get(rigidBody.handle) || 0;
+    },
+    
+    // Drop cached sample points, e.g. after a collider is removed or resized
+    clearSampleCache: function(colliderHandle) {
+      if (colliderHandle === undefined) {
+        samplePointCache.clear();
+      } else {
+        samplePointCache.delete(colliderHandle);
+      }
+    },
+    
     // Update method to be called in the animation loop
     update: function(deltaTime, waterLevel, time) {
+      // Spread existing ripples before bodies add new ones
+      rippleField.step(deltaTime);
+      
       // Apply water physics to all dynamic bodies
-      for (let i = 0; i < world.bodies.len(); i++) {
-        const rigidBody = world.bodies.at(i);
-        
+      submergedRatios.clear();
+      world.bodies.forEach((rigidBody) => {
         // Only apply to dynamic bodies
         if (rigidBody.bodyType() === RAPIER.RigidBodyType.Dynamic) {
           applyWaterPhysics(rigidBody, waterLevel, time, deltaTime);
         }
-      }
+      });
+    },
+    
+    // Stop following the settings store
+    dispose: function() {
+      unbindWaveSpectrum();
+      unsubscribeSamples();
+      rippleField.dispose();
     }
   };
 }
-
-// Export parameters for use elsewhere
-export { waterPhysicsParams };
\ No newline at end of file
@@ -0,0 +1,276 @@
+/**
+ * Water Presets
+ *
+ * This file lets water parameter sets be saved, shared and restored. Presets
+ * live in localStorage, can be exported/imported as JSON files, and the
+ * current parameters can be encoded into the URL hash so a link reproduces
+ * the exact same water.
+ */
+
+// Built-in presets (applied over the defaults)
+const builtInPresets = {
+  'Calm Pond': {
+    waterColor: '#003b2b',
+    distortionScale: 1.5,
+    waveSpeed: 0.4,
+    waveHeight: 0.05,
+    waveFrequency: 0.4,
+    foamEnabled: false,
+    linearDrag: 0.4
+  },
+  'Choppy': {
+    waterColor: '#0b3d5c',
+    distortionScale: 6.5,
+    waveSpeed: 2.5,
+    waveHeight: 0.6,
+    waveFrequency: 1.2,
+    foamEnabled: true,
+    foamThreshold: 0.5,
+    waveSteepness: 0.8,
+    buoyancyMultiplier: 1.4
+  },
+  'Murky Swamp': {
+    waterColor: '#2b2a0f',
+    sunColor: '#c8c090',
+    distortionScale: 1.0,
+    alpha: 0.95,
+    waveSpeed: 0.2,
+    waveHeight: 0.03,
+    reflectivity: 0.2,
+    foamColor: '#8a8a5c',
+    foamThreshold: 0.9,
+    linearDrag: 2.5,
+    quadraticDrag: 0.2
+  }
+};
+
+// Settings the loaded level decides, which presets leave as they are
+const levelSettingKeys = ['waterLevel'];
+
+// localStorage keys
+const PRESETS_STORAGE_KEY = 'capybara-swim:water-presets';
+const SESSION_STORAGE_KEY = 'capybara-swim:water-params';
+
+// URL hash prefix for shared parameters
+const HASH_PREFIX = '#water=';
+
+/**
+ * Keeps only known parameters whose type matches the defaults, warning
+ * about numbers the store will clamp into range
+ * @param {Object} values - Untrusted parameter values
+ * @param {Object} defaults - Default parameters defining the valid keys
+ * @param {Object} schema - Settings schema with each number's min and max
+ * @returns {Object} The sanitized parameters
+ */
+export function sanitizeParams(values, defaults, schema = {}) {
+  const sanitized = {};
+  if (!values || typeof values !== 'object') return sanitized;
+
+  for (const key of Object.keys(defaults)) {
+    if (key in values && typeof values[key] === typeof defaults[key]) {
+      sanitized[key] = values[key];
+
+      const { min = -Infinity, max = Infinity } = schema[key] || {};
+      if (typeof values[key] === 'number' && (values[key] < min || values[key] > max)) {
+        console.warn(`Water parameter "${key}" is out of range (${min} to ${max}), clamping ${values[key]}`);
+      }
+    }
+  }
+  return sanitized;
+}
+
+/**
+ * Encodes parameters into a URL hash
+ * @param {Object} params - Parameters to encode
+ * @returns {string} Hash string starting with '#water='
+ */
+export function encodeParamsToHash(params) {
+  const json = JSON.stringify(params);
+  // base64url so the hash survives chat apps and link shorteners
+  const base64 = btoa(unescape(encodeURIComponent(json)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+  return HASH_PREFIX + base64;
+}
+
+/**
+ * Decodes parameters from a URL hash
+ * @param {string} hash - Hash string, e.g. window.location.hash
+ * @returns {Object|null} The decoded parameters, or null if absent or invalid
+ */
+export function decodeParamsFromHash(hash) {
+  if (!hash || !hash.startsWith(HASH_PREFIX)) return null;
+
+  try {
+    const base64 = hash.slice(HASH_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(decodeURIComponent(escape(atob(base64))));
+  } catch (error) {
+    console.warn('Ignoring invalid water parameters in URL hash:', error);
+    return null;
+  }
+}
+
+// Read a JSON value from localStorage, tolerating missing or corrupt data
+function readStorage(key, fallback) {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+// Write a JSON value to localStorage, ignoring quota or privacy-mode errors
+function writeStorage(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn('Could not save water settings:', error);
+  }
+}
+
+/**
+ * Adds a Presets folder to the water GUI and restores the last used
+ * parameters (or the ones in the URL hash)
+ * @param {GUI} gui - The water controls GUI
+ * @param {Object} store - Water settings store edited by the GUI
+ * @returns {Object} Preset functions for use elsewhere
+ */
+export function createPresetControls(gui, store) {
+  const defaults = store.getDefaults();
+  const userPresets = readStorage(PRESETS_STORAGE_KEY, {});
+
+  // Apply a parameter set over the defaults; the store validates every
+  // value and notifies the water uniforms, physics and GUI
+  function applyParams(values) {
+    const params = { ...defaults, ...sanitizeParams(values, defaults, store.schema) };
+    for (const key of levelSettingKeys) delete params[key];
+    store.update(params);
+    saveSession();
+  }
+
+  // Remember the current parameters for the next visit
+  function saveSession() {
+    writeStorage(SESSION_STORAGE_KEY, store.getAll());
+  }
+
+  function getPresetNames() {
+    return [...Object.keys(builtInPresets), ...Object.keys(userPresets)];
+  }
+
+  const presetState = {
+    preset: '',
+    name: 'My Preset',
+
+    save: function() {
+      const name = presetState.name.trim();
+      if (!name) return;
+      if (builtInPresets[name]) {
+        console.warn(`Not saving preset "${name}": it is a built-in preset, choose another name`);
+        return;
+      }
+      userPresets[name] = store.getAll();
+      writeStorage(PRESETS_STORAGE_KEY, userPresets);
+      refreshPresetList(name);
+    },
+
+    delete: function() {
+      const name = presetState.preset;
+      if (!userPresets[name]) return;
+      delete userPresets[name];
+      writeStorage(PRESETS_STORAGE_KEY, userPresets);
+      refreshPresetList('');
+    },
+
+    exportJSON: function() {
+      const json = JSON.stringify(store.getAll(), null, 2);
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+      link.download = `${presetState.name.trim() || 'water'}.json`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    },
+
+    importJSON: function() {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = 'application/json,.json';
+      input.addEventListener('change', () => {
+        const file = input.files[0];
+        if (!file) return;
+        file.text().then((text) => {
+          applyParams(JSON.parse(text));
+          presetState.name = file.name.replace(/\.json$/i, '');
+          nameController.updateDisplay();
+        }).catch((error) => {
+          console.warn(`Could not import ${file.name}:`, error.message);
+        });
+      });
+      input.click();
+    },
+
+    copyLink: function() {
+      const hash = encodeParamsToHash(store.getAll());
+      history.replaceState(null, '', hash);
+      if (navigator.clipboard) {
+        navigator.clipboard.writeText(window.location.href).catch(() => {});
+      }
+    },
+
+    reset: function() {
+      presetState.preset = '';
+      presetController.updateDisplay();
+      applyParams(defaults);
+    }
+  };
+
+  const presetFolder = gui.addFolder('Presets');
+  let presetController;
+
+  // lil-gui replaces a dropdown when its options change
+  function refreshPresetList(selected) {
+    if (presetController) presetController.destroy();
+    presetState.preset = selected;
+    presetController = presetFolder.add(presetState, 'preset', getPresetNames())
+      .name('Preset')
+      .onChange((name) => {
+        // A stored preset may have been edited by hand into something invalid
+        try {
+          applyParams(builtInPresets[name] || userPresets[name]);
+        } catch (error) {
+          console.warn(`Could not apply preset "${name}":`, error.message);
+        }
+      });
+    // Keep the dropdown at the top of the folder
+    presetFolder.$children.prepend(presetController.domElement);
+  }
+
+  refreshPresetList('');
+  const nameController = presetFolder.add(presetState, 'name').name('Preset Name');
+  presetFolder.add(presetState, 'save').name('Save Preset');
+  presetFolder.add(presetState, 'delete').name('Delete Preset');
+  presetFolder.add(presetState, 'exportJSON').name('Export JSON');
+  presetFolder.add(presetState, 'importJSON').name('Import JSON');
+  presetFolder.add(presetState, 'copyLink').name('Copy Share Link');
+  presetFolder.add(presetState, 'reset').name('Reset to Defaults');
+
+  gui.onFinishChange(saveSession);
+
+  // A shared link wins over the last session
+  const startupParams = decodeParamsFromHash(window.location.hash) ||
+    readStorage(SESSION_STORAGE_KEY, null);
+  if (startupParams) {
+    try {
+      applyParams(startupParams);
+    } catch (error) {
+      console.warn('Ignoring saved water parameters:', error.message);
+    }
+  }
+
+  return {
+    applyParams,
+    builtInPresets,
+    userPresets
+  };
+}
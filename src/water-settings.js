@@ -0,0 +1,159 @@
+/**
+ * Water Settings
+ *
+ * This file defines every tunable water parameter in one schema and creates
+ * the shared settings store. The GUI, the water materials and the water
+ * physics all read from and subscribe to this store.
+ */
+
+import * as THREE from 'three';
+import { createSettingsStore } from './settings-store.js';
+
+// Schema for all water settings, grouped into GUI folders
+const waterSettingsSchema = {
+  // Visual properties
+  waterColor: { type: 'color', default: '#001e0f', folder: 'Visual Properties' },
+  sunColor: { type: 'color', default: '#ffffff', folder: 'Visual Properties' },
+  distortionScale: { type: 'number', default: 3.7, min: 0, max: 10, step: 0.1, folder: 'Visual Properties' },
+  alpha: { type: 'number', default: 1.0, min: 0, max: 1, step: 0.01, folder: 'Visual Properties' },
+  edgeSoftness: { type: 'number', default: 0.3, min: 0.01, max: 2, step: 0.01, folder: 'Visual Properties' },
+  depthAbsorption: { type: 'number', default: 0.5, min: 0, max: 3, step: 0.05, folder: 'Visual Properties' },
+
+  // Normal map: the bundled texture, or one baked at startup
+  normalMapSource: { type: 'select', default: 'bundled', options: ['bundled', 'procedural'], folder: 'Normal Map' },
+  normalMapScale: { type: 'integer', default: 4, min: 1, max: 16, step: 1, folder: 'Normal Map' },
+  normalMapSharpness: { type: 'number', default: 1.0, min: 0.1, max: 4, step: 0.1, folder: 'Normal Map' },
+
+  // Wave properties (shared by the wave spectrum and the physics)
+  waveSpeed: { type: 'number', default: 1.0, min: 0, max: 5, step: 0.1, folder: 'Wave Properties' },
+  waveHeight: { type: 'number', default: 0.2, min: 0, max: 1, step: 0.05, folder: 'Wave Properties' },
+  waveFrequency: { type: 'number', default: 0.5, min: 0.05, max: 2, step: 0.05, folder: 'Wave Properties' },
+  waveSteepness: { type: 'number', default: 0.5, min: 0, max: 1, step: 0.05, folder: 'Wave Properties' },
+  waveAngle: { type: 'number', default: 45, min: 0, max: 360, step: 1, folder: 'Wave Properties' },
+
+  // Reflection/refraction
+  reflectivity: { type: 'number', default: 0.5, min: 0, max: 1, step: 0.05, folder: 'Reflection & Refraction' },
+  refractionRatio: { type: 'number', default: 0.98, min: 0, max: 1, step: 0.01, folder: 'Reflection & Refraction' },
+
+  // Foam
+  foamEnabled: { type: 'boolean', default: true, folder: 'Foam Effects' },
+  foamColor: { type: 'color', default: '#ffffff', folder: 'Foam Effects' },
+  foamThreshold: { type: 'number', default: 0.7, min: 0, max: 1, step: 0.05, folder: 'Foam Effects' },
+  foamWidth: { type: 'number', default: 0.8, min: 0, max: 3, step: 0.05, folder: 'Foam Effects' },
+  foamIntensity: { type: 'number', default: 1.0, min: 0, max: 2, step: 0.05, folder: 'Foam Effects' },
+
+  // Physics
+  density: { type: 'number', default: 1.0, min: 0.1, max: 3, step: 0.05, folder: 'Physics' },
+  buoyancyMultiplier: { type: 'number', default: 1.2, min: 0, max: 3, step: 0.05, folder: 'Physics' },
+  linearDrag: { type: 'number', default: 0.5, min: 0, max: 5, step: 0.05, folder: 'Physics' },
+  quadraticDrag: { type: 'number', default: 0.05, min: 0, max: 1, step: 0.01, folder: 'Physics' },
+  waterLevel: { type: 'number', default: 0, min: -2, max: 2, step: 0.1, folder: 'Physics' },
+
+  // Advanced physics
+  surfaceTension: { type: 'number', default: 0.07, min: 0, max: 1, step: 0.01, folder: 'Advanced Physics' },
+  vorticity: { type: 'number', default: 0.1, min: 0, max: 1, step: 0.01, folder: 'Advanced Physics' },
+  damping: { type: 'number', default: 0.03, min: 0, max: 1, step: 0.01, folder: 'Advanced Physics' },
+  subSteps: { type: 'integer', default: 3, min: 1, max: 10, step: 1, folder: 'Advanced Physics' },
+  maxBuoyancyPoints: { type: 'integer', default: 27, min: 1, max: 64, step: 1, folder: 'Advanced Physics' },
+
+  // Underwater view
+  underwaterFogColor: { type: 'color', default: '#0b4f57', folder: 'Underwater' },
+  underwaterFogDensity: { type: 'number', default: 0.12, min: 0, max: 0.5, step: 0.01, folder: 'Underwater' },
+  underwaterTint: { type: 'color', default: '#9fe0d8', folder: 'Underwater' },
+  underwaterSaturation: { type: 'number', default: 0.7, min: 0, max: 1.5, step: 0.05, folder: 'Underwater' },
+  causticsIntensity: { type: 'number', default: 1.0, min: 0, max: 3, step: 0.05, folder: 'Underwater' },
+  causticsScale: { type: 'number', default: 1.5, min: 0.2, max: 5, step: 0.1, folder: 'Underwater' },
+
+  // Interactive ripples
+  rippleStrength: { type: 'number', default: 1.0, min: 0, max: 5, step: 0.1, folder: 'Ripples' },
+  rippleSpeed: { type: 'number', default: 2.0, min: 0.5, max: 4, step: 0.1, folder: 'Ripples' },
+  rippleDamping: { type: 'number', default: 0.8, min: 0, max: 5, step: 0.1, folder: 'Ripples' },
+  ripplePush: { type: 'number', default: 1.0, min: 0, max: 5, step: 0.1, folder: 'Ripples' },
+
+  // Performance (changes take effect on reload)
+  textureWidth: { type: 'select', default: 512, options: [128, 256, 512, 1024, 2048], folder: 'Performance' },
+  textureHeight: { type: 'select', default: 512, options: [128, 256, 512, 1024, 2048], folder: 'Performance' }
+};
+
+// Settings that change the shape of the waves
+const waveSettingKeys = ['waveHeight', 'waveFrequency', 'waveSpeed', 'waveSteepness', 'waveAngle'];
+
+// The shared water settings store
+const waterSettings = createSettingsStore(waterSettingsSchema);
+
+/**
+ * Reads the wave spectrum parameters from a settings store
+ * @param {Object} store - Settings store with the water schema
+ * @returns {Object} Parameters for createWaveSpectrum
+ */
+export function getWaveParams(store = waterSettings) {
+  const angle = THREE.MathUtils.degToRad(store.get('waveAngle'));
+  return {
+    waveHeight: store.get('waveHeight'),
+    waveFrequency: store.get('waveFrequency'),
+    waveSpeed: store.get('waveSpeed'),
+    waveSteepness: store.get('waveSteepness'),
+    waveDirection: new THREE.Vector2(Math.cos(angle), Math.sin(angle))
+  };
+}
+
+/**
+ * Keeps a wave spectrum in sync with the wave settings
+ * @param {Object} waveSpectrum - Spectrum from createWaveSpectrum
+ * @param {Object} store - Settings store with the water schema
+ * @returns {Function} Call to stop syncing
+ */
+export function bindWaveSpectrum(waveSpectrum, store = waterSettings) {
+  waveSpectrum.setParams(getWaveParams(store));
+  return store.subscribe(waveSettingKeys, () => {
+    waveSpectrum.setParams(getWaveParams(store));
+  });
+}
+
+/**
+ * Keeps a water mesh's uniforms and height in sync with the settings. Works
+ * for both the stock three.js Water and the enhanced water, skipping
+ * uniforms a material doesn't have.
+ * @param {THREE.Mesh} water - Water mesh with a ShaderMaterial
+ * @param {Object} store - Settings store with the water schema
+ * @returns {Function} Call to stop syncing
+ */
+export function bindWaterMaterial(water, store = waterSettings) {
+  const uniforms = water.material.uniforms;
+
+  // Settings that map one-to-one onto a uniform of the same name
+  const uniformKeys = [
+    'waterColor', 'sunColor', 'distortionScale', 'alpha',
+    'edgeSoftness', 'depthAbsorption',
+    'reflectivity', 'refractionRatio',
+    'foamEnabled', 'foamColor', 'foamThreshold', 'foamWidth', 'foamIntensity',
+    'underwaterFogColor', 'underwaterFogDensity'
+  ];
+
+  function applyUniform(value, key) {
+    const uniform = uniforms[key];
+    if (!uniform) return;
+    if (uniform.value && uniform.value.isColor) {
+      uniform.value.set(value);
+    } else {
+      uniform.value = value;
+    }
+  }
+
+  function applyWaterLevel(value) {
+    water.position.y = value;
+  }
+
+  for (const key of uniformKeys) applyUniform(store.get(key), key);
+  applyWaterLevel(store.get('waterLevel'));
+
+  const unsubscribers = [
+    store.subscribe(uniformKeys, applyUniform),
+    store.subscribe('waterLevel', applyWaterLevel)
+  ];
+
+  return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+}
+
+// Export schema and store for use elsewhere
+export { waterSettingsSchema, waterSettings };
@@ -2,58 +2,69 @@
  * Custom Water Shaders
  * 
  * This file contains custom shader code to enhance the water simulation
- * with advanced effects like foam, caustics, and more realistic wave patterns.
+ * with advanced effects like shoreline foam, refraction, a view from below
+ * the surface, and more realistic wave patterns.
  */
 
 import * as THREE from 'three';
+import { createWaveSpectrum, generateWaveGLSL } from './wave-spectrum.js';
+import { waterSettings, bindWaveSpectrum, bindWaterMaterial } from './water-settings.js';
+import { generateRippleGLSL, createEmptyRippleUniforms } from './ripple-field.js';
+import { generateFlowGLSL, createEmptyFlowUniforms } from './flow-field.js';
+import waterNormalsUrl from './assets/water-normals.png';
 
-// Custom water vertex shader
-const waterVertexShader = `
-uniform float time;
-uniform float waveHeight;
-uniform float waveFrequency;
-uniform vec2 waveDirection;
+/**
+ * Builds the custom water vertex shader for a given number of wave components
+ * @param {number} waveCount - Number of waves in the spectrum
+ * @returns {string} Vertex shader source
+ */
+function createWaterVertexShader(waveCount) {
+    return `
+${generateWaveGLSL(waveCount)}
+${generateRippleGLSL()}
+
+uniform mat4 reflectionMatrix;
+uniform mat4 refractionMatrix;
 
 varying vec3 vPosition;
 varying vec3 vNormal;
 varying vec2 vUv;
 varying vec3 vWorldPosition;
+varying vec4 vReflectionCoord;
+varying vec4 vRefractionCoord;
 
 void main() {
     vUv = uv;
     vPosition = position;
-    vNormal = normal;
-    
-    // Apply wave displacement
-    vec3 newPosition = position;
-    
-    // Primary wave
-    float wave1 = sin(dot(position.xz, waveDirection) * waveFrequency + time) * waveHeight;
-    
-    // Secondary wave (perpendicular)
-    vec2 perpDirection = vec2(-waveDirection.y, waveDirection.x);
-    float wave2 = sin(dot(position.xz, perpDirection) * waveFrequency * 1.5 + time * 0.8) * waveHeight * 0.3;
-    
-    // Tertiary wave (diagonal, faster)
-    vec2 diagDirection = normalize(waveDirection + perpDirection);
-    float wave3 = sin(dot(position.xz, diagDirection) * waveFrequency * 2.3 + time * 1.2) * waveHeight * 0.15;
     
-    // Apply combined waves
-    newPosition.y += wave1 + wave2 + wave3;
+    // Apply wave displacement in world space, so the surface matches
+    // the CPU height queries used by the physics
+    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+    worldPosition.xyz += gerstnerDisplacement(worldPosition.xz, waveTime, vNormal);
+    worldPosition.y += rippleHeight(worldPosition.xz);
     
-    // Calculate new normal based on wave derivatives
-    // This would be more complex in a full implementation
+    vWorldPosition = worldPosition.xyz;
     
-    // Transform to world space
-    vWorldPosition = (modelMatrix * vec4(newPosition, 1.0)).xyz;
+    // Projective coordinates into the reflection and refraction passes
+    vReflectionCoord = reflectionMatrix * worldPosition;
+    vRefractionCoord = refractionMatrix * worldPosition;
     
     // Output position
-    gl_Position = projectionMatrix * modelViewMatrix * vec4(newPosition, 1.0);
+    gl_Position = projectionMatrix * viewMatrix * worldPosition;
 }
 `;
+}
+
+// Custom water vertex shader
+const waterVertexShader = createWaterVertexShader();
 
 // Custom water fragment shader
 const waterFragmentShader = `
+#include <packing>
+
+${generateRippleGLSL()}
+${generateFlowGLSL()}
+
 uniform sampler2D normalSampler;
 uniform sampler2D reflectionSampler;
 uniform sampler2D refractionSampler;
@@ -66,10 +77,20 @@ uniform float distortionScale;
 uniform float alpha;
 uniform float reflectivity;
 uniform float refractionRatio;
+uniform float edgeSoftness;
+uniform float depthAbsorption;
 
 uniform bool foamEnabled;
 uniform vec3 foamColor;
 uniform float foamThreshold;
+uniform float foamWidth;
+uniform float foamIntensity;
+
+uniform float cameraNear;
+uniform float cameraFar;
+
+uniform vec3 underwaterFogColor;
+uniform float underwaterFogDensity;
 
 uniform vec3 eye;
 uniform vec3 sunDirection;
@@ -78,16 +99,46 @@ varying vec3 vPosition;
 varying vec3 vNormal;
 varying vec2 vUv;
 varying vec3 vWorldPosition;
+varying vec4 vReflectionCoord;
+varying vec4 vRefractionCoord;
 
 // Helper functions
 float fresnel(vec3 normal, vec3 viewDirection, float power) {
     return pow(1.0 - max(0.0, dot(normal, viewDirection)), power);
 }
 
+// Index of refraction of water relative to air
+const float WATER_IOR = 1.33;
+
+// Unpolarised Fresnel reflectance going from water into air; 1.0 past the
+// critical angle, where the surface totally reflects
+float waterToAirReflectance(float cosIncident) {
+    float sinTransmitted = WATER_IOR * sqrt(max(0.0, 1.0 - cosIncident * cosIncident));
+    if (sinTransmitted >= 1.0) return 1.0;
+    float cosTransmitted = sqrt(1.0 - sinTransmitted * sinTransmitted);
+    float rs = (WATER_IOR * cosIncident - cosTransmitted) / (WATER_IOR * cosIncident + cosTransmitted);
+    float rp = (WATER_IOR * cosTransmitted - cosIncident) / (WATER_IOR * cosTransmitted + cosIncident);
+    return 0.5 * (rs * rs + rp * rp);
+}
+
+// Distance from the camera along the view axis for a depth buffer value
+float linearDepth(float depth) {
+    return -perspectiveDepthToViewZ(depth, cameraNear, cameraFar);
+}
+
 void main() {
-    // Sample normal map
-    vec4 normalColor = texture2D(normalSampler, vUv * 10.0 + time * 0.05);
-    vec3 normal = normalize(normalColor.rgb * 2.0 - 1.0);
+    // Sample normal map and use it to add detail to the wave normal; the
+    // map drifts with the water's flow
+    vec2 flowOffsetA, flowOffsetB;
+    float flowBlend = flowOffsets(vWorldPosition.xz, flowOffsetA, flowOffsetB);
+    vec4 normalColor = mix(
+        texture2D(normalSampler, (vWorldPosition.xz - flowOffsetA) * 0.1 + time * 0.05),
+        texture2D(normalSampler, (vWorldPosition.xz - flowOffsetB) * 0.1 + time * 0.05),
+        flowBlend
+    );
+    vec3 mapNormal = normalColor.rgb * 2.0 - 1.0;
+    vec3 normal = normalize(vNormal + vec3(mapNormal.x, 0.0, mapNormal.y) * 0.5);
+    normal = normalize(normal + rippleNormalOffset(vWorldPosition.xz));
     
     // View direction
     vec3 viewDirection = normalize(eye - vWorldPosition);
@@ -95,25 +146,62 @@ void main() {
     // Calculate fresnel term
     float fresnelTerm = fresnel(normal, viewDirection, 5.0);
     
-    // Reflection and refraction coordinates
-    vec2 reflectionCoord = gl_FragCoord.xy / vec2(1024.0, 1024.0); // Replace with actual resolution
-    vec2 refractionCoord = reflectionCoord;
+    // Reflection and refraction coordinates, projected from the passes'
+    // cameras so they line up at any resolution
+    vec2 reflectionCoord = vReflectionCoord.xy / vReflectionCoord.w;
+    vec2 refractionCoord = vRefractionCoord.xy / vRefractionCoord.w;
+    
+    // Seen from below: the refraction pass holds the world above the
+    // surface, visible only inside Snell's window; outside it the surface
+    // mirrors the murky depths
+    if (!gl_FrontFacing) {
+        vec3 underNormal = -normal;
+        float reflectance = waterToAirReflectance(max(dot(viewDirection, underNormal), 0.0));
+        vec2 windowCoord = refractionCoord + underNormal.xz * 0.05 * distortionScale / length(eye - vWorldPosition);
+        vec3 aboveColor = texture2D(refractionSampler, windowCoord).rgb;
+        vec3 surfaceColor = mix(aboveColor, underwaterFogColor * 0.6, reflectance);
+        
+        // Same exponential-squared falloff as the scene's underwater fog
+        float fogDistance = length(eye - vWorldPosition) * underwaterFogDensity;
+        float fogFactor = 1.0 - exp(-fogDistance * fogDistance);
+        gl_FragColor = vec4(mix(surfaceColor, underwaterFogColor, fogFactor), 1.0);
+        return;
+    }
+    
+    // Water thickness along the view ray: distance from the surface to
+    // whatever the depth pre-pass found behind it
+    vec2 screenCoord = refractionCoord;
+    float sceneDepth = linearDepth(texture2D(depthSampler, screenCoord).x);
+    float surfaceDepth = linearDepth(gl_FragCoord.z);
+    float thickness = max(sceneDepth - surfaceDepth, 0.0);
+    
+    // Apply distortion from normal map, weaker for distant water and
+    // fading out in the shallows so the shore doesn't smear
+    vec2 distortion = normal.xz * (0.001 + 1.0 / length(eye - vWorldPosition)) * distortionScale;
+    distortion *= clamp(thickness, 0.0, 1.0);
+    reflectionCoord += distortion;
+    refractionCoord -= distortion;
     
-    // Apply distortion from normal map
-    reflectionCoord += normal.xz * distortionScale * 0.05;
-    refractionCoord += normal.xz * distortionScale * 0.05;
+    // Bend the view ray as it enters the water; a refraction ratio of 1.0
+    // leaves it straight, lower ratios shift what's seen below further
+    vec3 refracted = refract(-viewDirection, normal, refractionRatio);
+    refractionCoord += (refracted.xz + viewDirection.xz) * clamp(thickness, 0.0, 1.0) * 0.5;
     
     // Sample reflection and refraction textures
     vec4 reflectionColor = texture2D(reflectionSampler, reflectionCoord);
     vec4 refractionColor = texture2D(refractionSampler, refractionCoord);
     
+    // Light passing through the water loses red first, then green
+    vec3 transmittance = exp(-vec3(1.0, 0.4, 0.25) * depthAbsorption * thickness);
+    refractionColor.rgb = mix(waterColor, refractionColor.rgb, transmittance);
+    
     // Mix reflection and refraction based on fresnel and reflectivity
-    vec4 waterColorRGBA = vec4(waterColor, alpha);
     vec4 finalColor = mix(
-        mix(waterColorRGBA, refractionColor, 0.5),
+        vec4(refractionColor.rgb, alpha),
         reflectionColor,
         fresnelTerm * reflectivity
     );
+    finalColor.a = alpha;
     
     // Add sun specular highlight
     vec3 halfDir = normalize(sunDirection + viewDirection);
@@ -122,33 +210,27 @@ void main() {
     
     // Add foam effect if enabled
     if (foamEnabled) {
-        // Calculate foam based on wave height and shoreline
-        float foamFactor = 0.0;
-        
         // Foam at wave peaks
         float wavePeak = sin(vUv.x * 20.0 + vUv.y * 30.0 + time) * 0.5 + 0.5;
         wavePeak = pow(wavePeak, 8.0);
+        wavePeak = smoothstep(foamThreshold, 1.0, wavePeak);
         
-        // Foam at shoreline (would use depth texture in real implementation)
-        float shorelineFoam = 0.0;
+        // Foam band where the water thins out against the island or a
+        // floating body, broken up by the normal map so it isn't a clean line
+        float shoreline = 1.0 - smoothstep(0.0, foamWidth, thickness);
+        float foamNoise = texture2D(normalSampler, vUv * 25.0 - time * 0.02).r;
+        float shorelineFoam = smoothstep(0.4, 0.6, foamNoise * 0.6 + shoreline * 0.7);
+        shorelineFoam *= shoreline;
         
         // Combine foam factors
-        foamFactor = max(wavePeak, shorelineFoam);
-        
-        // Apply foam threshold
-        foamFactor = smoothstep(foamThreshold, 1.0, foamFactor);
+        float foamFactor = clamp(max(wavePeak, shorelineFoam) * foamIntensity, 0.0, 1.0);
         
         // Add foam to final color
         finalColor.rgb = mix(finalColor.rgb, foamColor, foamFactor);
     }
     
-    // Add caustics effect (simplified)
-    float causticPattern = 
-        sin(vWorldPosition.x * 5.0 + time) * 
-        sin(vWorldPosition.z * 5.0 + time) * 0.5 + 0.5;
-    causticPattern = pow(causticPattern, 2.0) * 0.2;
-    
-    finalColor.rgb += causticPattern * sunColor * 0.1;
+    // Fade out where the water is only a film over the ground
+    finalColor.a *= smoothstep(0.0, edgeSoftness, thickness);
     
     gl_FragColor = finalColor;
 }
@@ -166,128 +248,338 @@ export function createCustomWaterMaterial(options = {}) {
         reflectionSampler: null,
         refractionSampler: null,
         depthSampler: null,
+        reflectionMatrix: new THREE.Matrix4(),
+        refractionMatrix: new THREE.Matrix4(),
         waterColor: new THREE.Color(0x001e0f),
         sunColor: new THREE.Color(0xffffff),
         sunDirection: new THREE.Vector3(0.5, 0.5, 0),
         distortionScale: 3.7,
         alpha: 1.0,
         time: 0,
+        waveSpectrum: null,
+        rippleField: null,
+        flowField: null,
         waveHeight: 0.2,
         waveFrequency: 0.5,
+        waveSpeed: 1.0,
         waveDirection: new THREE.Vector2(1, 1).normalize(),
         reflectivity: 0.5,
         refractionRatio: 0.98,
+        edgeSoftness: 0.3,
+        depthAbsorption: 0.5,
         foamEnabled: true,
         foamColor: new THREE.Color(0xffffff),
         foamThreshold: 0.7,
+        foamWidth: 0.8,
+        foamIntensity: 1.0,
+        underwaterFogColor: new THREE.Color(0x0b4f57),
+        underwaterFogDensity: 0.12,
+        cameraNear: 0.1,
+        cameraFar: 1000,
         eye: new THREE.Vector3(0, 0, 0)
     };
     
     // Merge with provided options
     const mergedOptions = { ...defaultOptions, ...options };
     
+    // Share the physics spectrum when given one, otherwise build our own
+    const waveSpectrum = mergedOptions.waveSpectrum || createWaveSpectrum({
+        waveHeight: mergedOptions.waveHeight,
+        waveFrequency: mergedOptions.waveFrequency,
+        waveSpeed: mergedOptions.waveSpeed,
+        waveDirection: mergedOptions.waveDirection
+    });
+    
     // Create shader material
     const material = new THREE.ShaderMaterial({
-        vertexShader: waterVertexShader,
+        vertexShader: createWaterVertexShader(waveSpectrum.waves.length),
         fragmentShader: waterFragmentShader,
         uniforms: {
             normalSampler: { value: mergedOptions.normalSampler },
             reflectionSampler: { value: mergedOptions.reflectionSampler },
             refractionSampler: { value: mergedOptions.refractionSampler },
             depthSampler: { value: mergedOptions.depthSampler },
+            reflectionMatrix: { value: mergedOptions.reflectionMatrix },
+            refractionMatrix: { value: mergedOptions.refractionMatrix },
             waterColor: { value: mergedOptions.waterColor },
             sunColor: { value: mergedOptions.sunColor },
             sunDirection: { value: mergedOptions.sunDirection },
             distortionScale: { value: mergedOptions.distortionScale },
             alpha: { value: mergedOptions.alpha },
             time: { value: mergedOptions.time },
-            waveHeight: { value: mergedOptions.waveHeight },
-            waveFrequency: { value: mergedOptions.waveFrequency },
-            waveDirection: { value: mergedOptions.waveDirection },
+            ...waveSpectrum.uniforms,
+            ...(mergedOptions.rippleField ? mergedOptions.rippleField.uniforms : createEmptyRippleUniforms()),
+            ...(mergedOptions.flowField ? mergedOptions.flowField.uniforms : createEmptyFlowUniforms()),
             reflectivity: { value: mergedOptions.reflectivity },
             refractionRatio: { value: mergedOptions.refractionRatio },
+            edgeSoftness: { value: mergedOptions.edgeSoftness },
+            depthAbsorption: { value: mergedOptions.depthAbsorption },
             foamEnabled: { value: mergedOptions.foamEnabled },
             foamColor: { value: mergedOptions.foamColor },
             foamThreshold: { value: mergedOptions.foamThreshold },
+            foamWidth: { value: mergedOptions.foamWidth },
+            foamIntensity: { value: mergedOptions.foamIntensity },
+            underwaterFogColor: { value: mergedOptions.underwaterFogColor },
+            underwaterFogDensity: { value: mergedOptions.underwaterFogDensity },
+            cameraNear: { value: mergedOptions.cameraNear },
+            cameraFar: { value: mergedOptions.cameraFar },
             eye: { value: mergedOptions.eye }
         },
-        transparent: mergedOptions.alpha < 1.0,
+        // Always blended: shallow edges fade out even at full alpha
+        transparent: true,
         side: THREE.DoubleSide
     });
     
+    material.userData.waveSpectrum = waveSpectrum;
+    
     return material;
 }
 
+// Maps clip space [-1, 1] to texture space [0, 1]
+const textureBiasMatrix = new THREE.Matrix4().set(
+    0.5, 0.0, 0.0, 0.5,
+    0.0, 0.5, 0.0, 0.5,
+    0.0, 0.0, 0.5, 0.5,
+    0.0, 0.0, 0.0, 1.0
+);
+
 /**
  * Extends the standard Three.js Water class with custom shader capabilities
  * @param {THREE.Geometry} geometry - Water surface geometry
  * @param {Object} options - Water options
+ * @param {Object} options.store - Settings store to follow (defaults to the shared water settings)
+ * @param {Object} options.waveSpectrum - Spectrum to share, e.g. the physics one
+ * @param {Object} options.rippleField - Ripple field to draw, e.g. the physics one
+ * @param {Object} options.flowField - Flow field the normal map drifts with, e.g. the physics one
+ * @param {THREE.Texture|string} options.waterNormals - Loaded normal map, or its URL (defaults to the bundled map)
+ * @param {THREE.Vector3} options.sunDirection - Direction towards the sun
+ * @param {number} options.resolutionScale - Pass resolution relative to the screen (default 0.5)
+ * @param {number} options.clipBias - Offset of the clip planes from the water level
  * @returns {THREE.Mesh} Enhanced water mesh
  */
 export function createEnhancedWater(geometry, options = {}) {
     // Create a standard Three.js Water object first
     const water = new THREE.Mesh(geometry);
     
-    // Create render targets for reflection and refraction
-    const textureWidth = options.textureWidth || 512;
-    const textureHeight = options.textureHeight || 512;
+    // Settings store the water follows (defaults to the shared water settings)
+    const store = options.store || waterSettings;
+    const resolutionScale = options.resolutionScale || 0.5;
+    const clipBias = options.clipBias !== undefined ? options.clipBias : 0.05;
+    
+    // Create render targets for reflection and refraction; setSize() later
+    // matches them to the screen
+    const textureWidth = options.textureWidth || store.get('textureWidth');
+    const textureHeight = options.textureHeight || store.get('textureHeight');
     
     const reflectionRenderTarget = new THREE.WebGLRenderTarget(textureWidth, textureHeight);
     const refractionRenderTarget = new THREE.WebGLRenderTarget(textureWidth, textureHeight);
     
-    // Load normal map
-    const normalMap = new THREE.TextureLoader().load(
-        options.waterNormals || 'https://raw.githubusercontent.com/mrdoob/three.js/master/examples/textures/waternormals.jpg',
-        function(texture) {
-            texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
-        }
-    );
+    // Depth pre-pass of everything except the water, read back as a texture
+    // to measure how much water lies in front of the ground
+    const depthRenderTarget = new THREE.WebGLRenderTarget(textureWidth, textureHeight, {
+        depthTexture: new THREE.DepthTexture(textureWidth, textureHeight)
+    });
+    const depthMaterial = new THREE.MeshBasicMaterial({ colorWrite: false });
+    
+    // Use the preloaded normal map, or load it
+    const normalMap = options.waterNormals && options.waterNormals.isTexture
+        ? options.waterNormals
+        : new THREE.TextureLoader().load(
+            options.waterNormals || waterNormalsUrl,
+            function(texture) {
+                texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+            }
+        );
     
-    // Create custom water material
+    // Follow the store's wave settings unless sharing another spectrum
+    const waveSpectrum = options.waveSpectrum || createWaveSpectrum();
+    const unbindWaveSpectrum = options.waveSpectrum ? null : bindWaveSpectrum(waveSpectrum, store);
+    
+    // Create custom water material; visual uniforms are filled from the store below
     const customMaterial = createCustomWaterMaterial({
         normalSampler: normalMap,
         reflectionSampler: reflectionRenderTarget.texture,
         refractionSampler: refractionRenderTarget.texture,
-        waterColor: new THREE.Color(options.waterColor || 0x001e0f),
-        sunColor: new THREE.Color(options.sunColor || 0xffffff),
+        depthSampler: depthRenderTarget.depthTexture,
         sunDirection: options.sunDirection || new THREE.Vector3(0.5, 0.5, 0),
-        distortionScale: options.distortionScale || 3.7,
-        alpha: options.alpha !== undefined ? options.alpha : 1.0,
-        waveHeight: options.waveHeight || 0.2,
-        waveFrequency: options.waveFrequency || 0.5,
-        waveDirection: options.waveDirection || new THREE.Vector2(1, 1).normalize(),
-        reflectivity: options.reflectivity || 0.5,
-        refractionRatio: options.refractionRatio || 0.98,
-        foamEnabled: options.foamEnabled !== undefined ? options.foamEnabled : true,
-        foamColor: new THREE.Color(options.foamColor || 0xffffff),
-        foamThreshold: options.foamThreshold || 0.7
+        waveSpectrum,
+        rippleField: options.rippleField || null,
+        flowField: options.flowField || null
     });
     
     // Apply material to water mesh
     water.material = customMaterial;
     
+    // Keep uniforms and water level in sync with the settings store
+    const unbindMaterial = bindWaterMaterial(water, store);
+    
     // Store render targets and other properties
     water.userData = {
         reflectionRenderTarget,
         refractionRenderTarget,
+        depthRenderTarget,
         options
     };
     
+    // Cameras and scratch objects for the reflection and refraction passes
+    const mirrorCamera = new THREE.PerspectiveCamera();
+    const waterPlane = new THREE.Plane();
+    const refractionClipPlane = new THREE.Plane();
+    const surfaceNormal = new THREE.Vector3(0, 1, 0);
+    const surfacePosition = new THREE.Vector3();
+    const cameraPosition = new THREE.Vector3();
+    const rotationMatrix = new THREE.Matrix4();
+    const lookAtPosition = new THREE.Vector3();
+    const mirrorPosition = new THREE.Vector3();
+    const mirrorTarget = new THREE.Vector3();
+    const clipPlane = new THREE.Vector4();
+    const q = new THREE.Vector4();
+    
+    // Place the mirror camera below the surface and skew its near plane onto
+    // the water so nothing under the surface ends up in the reflection
+    function updateMirrorCamera(camera) {
+        surfacePosition.set(0, water.position.y - clipBias, 0);
+        cameraPosition.setFromMatrixPosition(camera.matrixWorld);
+        rotationMatrix.extractRotation(camera.matrixWorld);
+        
+        mirrorPosition.subVectors(surfacePosition, cameraPosition).reflect(surfaceNormal).negate();
+        mirrorPosition.add(surfacePosition);
+        
+        lookAtPosition.set(0, 0, -1).applyMatrix4(rotationMatrix).add(cameraPosition);
+        mirrorTarget.subVectors(surfacePosition, lookAtPosition).reflect(surfaceNormal).negate();
+        mirrorTarget.add(surfacePosition);
+        
+        mirrorCamera.position.copy(mirrorPosition);
+        mirrorCamera.up.set(0, 1, 0).applyMatrix4(rotationMatrix).reflect(surfaceNormal);
+        mirrorCamera.lookAt(mirrorTarget);
+        mirrorCamera.far = camera.far;
+        mirrorCamera.updateMatrixWorld();
+        mirrorCamera.projectionMatrix.copy(camera.projectionMatrix);
+        
+        // Texture matrix uses the unskewed projection
+        water.material.uniforms.reflectionMatrix.value
+            .copy(textureBiasMatrix)
+            .multiply(mirrorCamera.projectionMatrix)
+            .multiply(mirrorCamera.matrixWorldInverse);
+        
+        // Oblique near-plane clipping (Lengyel), as in three's Reflector
+        waterPlane.setFromNormalAndCoplanarPoint(surfaceNormal, surfacePosition);
+        waterPlane.applyMatrix4(mirrorCamera.matrixWorldInverse);
+        clipPlane.set(waterPlane.normal.x, waterPlane.normal.y, waterPlane.normal.z, waterPlane.constant);
+        
+        const projection = mirrorCamera.projectionMatrix.elements;
+        q.x = (Math.sign(clipPlane.x) + projection[8]) / projection[0];
+        q.y = (Math.sign(clipPlane.y) + projection[9]) / projection[5];
+        q.z = -1.0;
+        q.w = (1.0 + projection[10]) / projection[14];
+        clipPlane.multiplyScalar(2.0 / clipPlane.dot(q));
+        
+        projection[2] = clipPlane.x;
+        projection[6] = clipPlane.y;
+        projection[10] = clipPlane.z + 1.0;
+        projection[14] = clipPlane.w;
+    }
+    
+    // Render a pass into a target, restoring the renderer state afterwards
+    function renderPass(renderer, scene, camera, renderTarget, clippingPlanes) {
+        const currentRenderTarget = renderer.getRenderTarget();
+        const currentXrEnabled = renderer.xr.enabled;
+        const currentShadowAutoUpdate = renderer.shadowMap.autoUpdate;
+        const currentClippingPlanes = renderer.clippingPlanes;
+        
+        renderer.xr.enabled = false;
+        renderer.shadowMap.autoUpdate = false;
+        renderer.clippingPlanes = clippingPlanes;
+        
+        renderer.setRenderTarget(renderTarget);
+        renderer.state.buffers.depth.setMask(true);
+        if (renderer.autoClear === false) renderer.clear();
+        renderer.render(scene, camera);
+        
+        renderer.xr.enabled = currentXrEnabled;
+        renderer.shadowMap.autoUpdate = currentShadowAutoUpdate;
+        renderer.clippingPlanes = currentClippingPlanes;
+        renderer.setRenderTarget(currentRenderTarget);
+    }
+    
     // Add update method
     water.update = function(renderer, scene, camera, deltaTime) {
         // Update time uniform
-        this.material.uniforms.time.value += deltaTime;
+        this.material.uniforms.time.value += deltaTime * store.get('waveSpeed');
+        
+        // A shared spectrum's wave time is advanced by its owner
+        if (!options.waveSpectrum) {
+            this.material.uniforms.waveTime.value += deltaTime;
+        }
         
         // Update eye position for fresnel calculations
         this.material.uniforms.eye.value.copy(camera.position);
+        this.material.uniforms.cameraNear.value = camera.near;
+        this.material.uniforms.cameraFar.value = camera.far;
+        
+        // The passes must not see the water itself
+        this.visible = false;
+        
+        // Depth: the whole scene from the real camera, unclipped, so the
+        // shoreline foam also finds ground just above the water level
+        const currentOverrideMaterial = scene.overrideMaterial;
+        scene.overrideMaterial = depthMaterial;
+        renderPass(renderer, scene, camera, depthRenderTarget, []);
+        scene.overrideMaterial = currentOverrideMaterial;
+        
+        const cameraAboveWater = camera.position.y > this.position.y;
         
-        // In a full implementation, you would:
-        // 1. Render the scene to reflection and refraction render targets
-        // 2. Update other dynamic uniforms
+        // Reflection: scene above the surface seen from the mirrored camera
+        if (cameraAboveWater) {
+            updateMirrorCamera(camera);
+            renderPass(renderer, scene, mirrorCamera, reflectionRenderTarget, []);
+        }
+        
+        // Refraction: the scene on the far side of the surface seen from the
+        // real camera - below it from above, above it from underwater
+        this.material.uniforms.refractionMatrix.value
+            .copy(textureBiasMatrix)
+            .multiply(camera.projectionMatrix)
+            .multiply(camera.matrixWorldInverse);
+        if (cameraAboveWater) {
+            refractionClipPlane.normal.set(0, -1, 0);
+            refractionClipPlane.constant = this.position.y + clipBias;
+        } else {
+            refractionClipPlane.normal.set(0, 1, 0);
+            refractionClipPlane.constant = -(this.position.y - clipBias);
+        }
+        renderPass(renderer, scene, camera, refractionRenderTarget, [refractionClipPlane]);
+        
+        this.visible = true;
+    };
+    
+    /**
+     * Matches the pass resolution to the screen; call on window resize
+     * @param {number} width - Drawing buffer width in pixels
+     * @param {number} height - Drawing buffer height in pixels
+     */
+    water.setSize = function(width, height) {
+        const passWidth = Math.max(1, Math.round(width * resolutionScale));
+        const passHeight = Math.max(1, Math.round(height * resolutionScale));
+        reflectionRenderTarget.setSize(passWidth, passHeight);
+        refractionRenderTarget.setSize(passWidth, passHeight);
+        depthRenderTarget.setSize(passWidth, passHeight);
+    };
+    
+    // Release GPU resources and stop following the settings store
+    water.dispose = function() {
+        unbindMaterial();
+        if (unbindWaveSpectrum) unbindWaveSpectrum();
+        reflectionRenderTarget.dispose();
+        refractionRenderTarget.dispose();
+        depthRenderTarget.depthTexture.dispose();
+        depthRenderTarget.dispose();
+        depthMaterial.dispose();
+        this.material.dispose();
     };
     
     return water;
 }
 
 // Export shader code for reference
-export { waterVertexShader, waterFragmentShader };
\ No newline at end of file
+export { waterVertexShader, waterFragmentShader, createWaterVertexShader };
\ No newline at end of file
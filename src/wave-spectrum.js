@@ -0,0 +1,294 @@
+/**
+ * Wave Spectrum
+ *
+ * This file holds the single definition of the water's wave shape. A small
+ * set of Gerstner waves is derived from the wave parameters and evaluated
+ * both on the CPU (for physics queries) and in GLSL (for rendering), so
+ * floating objects ride exactly the surface that is drawn.
+ */
+
+import * as THREE from 'three';
+
+// Default wave parameters
+const waveSpectrumParams = {
+  waveHeight: 0.2,        // Amplitude of the primary wave
+  waveFrequency: 0.5,     // Wavenumber of the primary wave
+  waveSpeed: 1.0,         // Angular speed of the primary wave
+  waveDirection: new THREE.Vector2(1, 1).normalize(), // Direction of wave travel
+  waveSteepness: 0.5      // Gerstner crest sharpness (0 = plain sine waves, 1 = sharpest)
+};
+
+// Wave components, relative to the primary wave
+const waveComponents = [
+  // Primary wave
+  { angle: 0, frequency: 1.0, speed: 1.0, amplitude: 1.0 },
+  // Secondary wave (perpendicular, smaller)
+  { angle: Math.PI / 2, frequency: 1.5, speed: 0.8, amplitude: 0.3 },
+  // Tertiary wave (diagonal, faster)
+  { angle: Math.PI / 4, frequency: 2.3, speed: 1.2, amplitude: 0.15 }
+];
+
+// Fixed-point iterations used to undo horizontal displacement in height queries
+const HEIGHT_ITERATIONS = 4;
+
+/**
+ * Adds one Gerstner wave's displacement at an undisplaced point, and when
+ * given, its change to the surface tangents along undisplaced X and Z.
+ * The shader's gerstnerDisplacement in generateWaveGLSL does the same sums.
+ * @param {Object} wave - Wave component (direction, frequency, amplitude, speed, steepness)
+ * @param {number} x - Undisplaced world X
+ * @param {number} z - Undisplaced world Z
+ * @param {number} time - Wave time in seconds
+ * @param {THREE.Vector3} offset - Accumulates the displacement
+ * @param {THREE.Vector3} [tangentX] - Accumulates the tangent along X
+ * @param {THREE.Vector3} [tangentZ] - Accumulates the tangent along Z
+ */
+function addGerstnerWave(wave, x, z, time, offset, tangentX, tangentZ) {
+  const dx = wave.direction.x;
+  const dz = wave.direction.y;
+  const theta = wave.frequency * (dx * x + dz * z) + wave.speed * time;
+  const s = Math.sin(theta);
+  const c = Math.cos(theta);
+
+  offset.x += wave.steepness * wave.amplitude * dx * c;
+  offset.y += wave.amplitude * s;
+  offset.z += wave.steepness * wave.amplitude * dz * c;
+
+  if (!tangentX) return;
+  const ka = wave.frequency * wave.amplitude;
+  const qs = wave.steepness * ka * s;
+  tangentX.x -= qs * dx * dx;
+  tangentX.y += ka * dx * c;
+  tangentX.z -= qs * dx * dz;
+  tangentZ.x -= qs * dx * dz;
+  tangentZ.y += ka * dz * c;
+  tangentZ.z -= qs * dz * dz;
+}
+
+/**
+ * Generates GLSL declaring the wave uniforms and a `gerstnerDisplacement`
+ * function matching the CPU evaluation in createWaveSpectrum
+ * @param {number} waveCount - Number of wave components
+ * @returns {string} GLSL source to prepend to a vertex shader
+ */
+export function generateWaveGLSL(waveCount = waveComponents.length) {
+  return `
+#define WAVE_COUNT ${waveCount}
+
+uniform float waveTime;
+uniform vec4 waveShape[ WAVE_COUNT ];  // direction.xy, wavenumber, amplitude
+uniform vec2 waveMotion[ WAVE_COUNT ]; // angular speed, steepness
+
+// Displacement of the undisplaced world-space point p at time t,
+// with the analytic surface normal written to waveNormal
+vec3 gerstnerDisplacement( vec2 p, float t, out vec3 waveNormal ) {
+    vec3 offset = vec3( 0.0 );
+    // Surface tangents along undisplaced X and Z
+    vec3 tangentX = vec3( 1.0, 0.0, 0.0 );
+    vec3 tangentZ = vec3( 0.0, 0.0, 1.0 );
+
+    for ( int i = 0; i < WAVE_COUNT; i++ ) {
+        vec2 direction = waveShape[ i ].xy;
+        float k = waveShape[ i ].z;
+        float amplitude = waveShape[ i ].w;
+        float steepness = waveMotion[ i ].y;
+
+        float theta = k * dot( direction, p ) + waveMotion[ i ].x * t;
+        float s = sin( theta );
+        float c = cos( theta );
+
+        offset.xz += steepness * amplitude * direction * c;
+        offset.y += amplitude * s;
+
+        float ka = k * amplitude;
+        float qs = steepness * ka * s;
+        tangentX -= vec3( qs * direction.x * direction.x, -ka * direction.x * c, qs * direction.x * direction.y );
+        tangentZ -= vec3( qs * direction.x * direction.y, -ka * direction.y * c, qs * direction.y * direction.y );
+    }
+
+    waveNormal = normalize( cross( tangentZ, tangentX ) );
+    return offset;
+}
+`;
+}
+
+/**
+ * Creates a wave spectrum from wave parameters
+ * @param {Object} params - Optional parameters to override defaults
+ * @returns {Object} The wave spectrum object
+ */
+export function createWaveSpectrum(params = {}) {
+  // Merge provided params with defaults
+  const settings = { ...waveSpectrumParams, ...params };
+
+  // Derived wave components
+  const waves = waveComponents.map(() => ({
+    direction: new THREE.Vector2(),
+    frequency: 0,
+    amplitude: 0,
+    speed: 0,
+    steepness: 0
+  }));
+
+  // Uniforms shared by every material drawing this spectrum
+  const uniforms = {
+    waveTime: { value: 0 },
+    waveShape: { value: waves.map(() => new THREE.Vector4()) },
+    waveMotion: { value: waves.map(() => new THREE.Vector2()) }
+  };
+
+  // Recompute wave components and uniforms from the current settings
+  function rebuild() {
+    const baseDirection = new THREE.Vector2().copy(settings.waveDirection).normalize();
+
+    waveComponents.forEach((component, i) => {
+      const wave = waves[i];
+
+      wave.direction.copy(baseDirection).rotateAround(new THREE.Vector2(), component.angle);
+      wave.frequency = settings.waveFrequency * component.frequency;
+      wave.amplitude = settings.waveHeight * component.amplitude;
+      wave.speed = settings.waveSpeed * component.speed;
+
+      // Split the steepness budget so the summed crests never loop over
+      const ka = wave.frequency * wave.amplitude;
+      wave.steepness = ka > 0 ? settings.waveSteepness / (ka * waves.length) : 0;
+
+      uniforms.waveShape.value[i].set(wave.direction.x, wave.direction.y, wave.frequency, wave.amplitude);
+      uniforms.waveMotion.value[i].set(wave.speed, wave.steepness);
+    });
+  }
+
+  // Scratch tangents for normal evaluation
+  const tangentX = new THREE.Vector3();
+  const tangentZ = new THREE.Vector3();
+
+  /**
+   * Evaluates the surface at an undisplaced point
+   * @param {number} x - Undisplaced world X
+   * @param {number} z - Undisplaced world Z
+   * @param {number} time - Wave time in seconds
+   * @param {THREE.Vector3} target - Receives the displacement
+   * @param {THREE.Vector3} [normal] - Receives the surface normal
+   * @returns {THREE.Vector3} The displacement
+   */
+  function getDisplacement(x, z, time, target = new THREE.Vector3(), normal) {
+    target.set(0, 0, 0);
+    if (normal) {
+      tangentX.set(1, 0, 0);
+      tangentZ.set(0, 0, 1);
+    }
+
+    for (const wave of waves) {
+      addGerstnerWave(wave, x, z, time, target, normal ? tangentX : null, normal ? tangentZ : null);
+    }
+
+    // Exact normal of the displaced surface
+    if (normal) normal.crossVectors(tangentZ, tangentX).normalize();
+    return target;
+  }
+
+  // Find the undisplaced point whose displaced position lies above (x, z)
+  const displacement = new THREE.Vector3();
+  function findSourcePoint(x, z, time) {
+    let sourceX = x;
+    let sourceZ = z;
+    for (let i = 0; i < HEIGHT_ITERATIONS; i++) {
+      getDisplacement(sourceX, sourceZ, time, displacement);
+      sourceX = x - displacement.x;
+      sourceZ = z - displacement.z;
+    }
+    return { x: sourceX, z: sourceZ };
+  }
+
+  /**
+   * Height of the surface above the water level at world position (x, z)
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   * @param {number} time - Wave time in seconds
+   * @returns {number} Surface height offset
+   */
+  function getHeight(x, z, time) {
+    const source = findSourcePoint(x, z, time);
+    return getDisplacement(source.x, source.z, time, displacement).y;
+  }
+
+  /**
+   * Surface normal at world position (x, z)
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   * @param {number} time - Wave time in seconds
+   * @param {THREE.Vector3} target - Receives the normal
+   * @returns {THREE.Vector3} The normal
+   */
+  function getNormal(x, z, time, target = new THREE.Vector3()) {
+    const source = findSourcePoint(x, z, time);
+    getDisplacement(source.x, source.z, time, displacement, target);
+    return target;
+  }
+
+  rebuild();
+
+  return {
+    settings,
+    waves,
+    uniforms,
+    getDisplacement,
+    getHeight,
+    getNormal,
+
+    // Apply new wave parameters to both CPU queries and shader uniforms
+    setParams: function(newParams) {
+      Object.assign(settings, newParams);
+      rebuild();
+    }
+  };
+}
+
+/**
+ * Adds the spectrum's displacement and normals to a three.js Water material
+ * @param {THREE.ShaderMaterial} material - The material of a three.js Water
+ * @param {Object} waveSpectrum - Spectrum from createWaveSpectrum
+ */
+export function applyWaveSpectrumToWater(material, waveSpectrum) {
+  Object.assign(material.uniforms, waveSpectrum.uniforms);
+
+  const displacedVertex = `
+					vec4 displacedPosition = modelMatrix * vec4( position, 1.0 );
+					displacedPosition.xyz += gerstnerDisplacement( displacedPosition.xz, waveTime, vWaveNormal );
+					mirrorCoord = displacedPosition;
+					worldPosition = mirrorCoord.xyzw;
+					mirrorCoord = textureMatrix * mirrorCoord;
+					vec4 mvPosition = viewMatrix * displacedPosition;`;
+
+  const vertexShader = material.vertexShader
+    .replace('void main() {', `${generateWaveGLSL(waveSpectrum.waves.length)}
+varying vec3 vWaveNormal;
+
+void main() {`)
+    .replace(
+      /mirrorCoord = modelMatrix[\s\S]*?vec4 mvPosition =\s*modelViewMatrix \* vec4\( position, 1\.0 \);/,
+      displacedVertex
+    );
+
+  const fragmentShader = material.fragmentShader
+    .replace('void main() {', `varying vec3 vWaveNormal;
+
+void main() {`)
+    .replace(
+      'vec3 surfaceNormal = normalize( noise.xzy * vec3( 1.5, 1.0, 1.5 ) );',
+      // Tilt the normal-map detail by the analytic wave normal
+      'vec3 surfaceNormal = normalize( noise.xzy * vec3( 1.5, 1.0, 1.5 ) + ( vWaveNormal - vec3( 0.0, 1.0, 0.0 ) ) * 2.0 );'
+    );
+
+  if (!vertexShader.includes('gerstnerDisplacement( displacedPosition')) {
+    console.warn('Water shader layout not recognised - wave displacement not applied');
+    return;
+  }
+
+  material.vertexShader = vertexShader;
+  material.fragmentShader = fragmentShader;
+  material.needsUpdate = true;
+}
+
+// Export parameters for use elsewhere
+export { waveSpectrumParams };
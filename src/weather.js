@@ -0,0 +1,271 @@
+/**
+ * Weather
+ *
+ * This file runs the pond's weather: a wind that raises and steers the
+ * waves, rain that rings the surface with ripples, and cloud cover that
+ * darkens the sky and dims the light. Weather moves between presets
+ * (calm, breezy, storm) by blending every parameter over a few seconds,
+ * either on request from the GUI or on a repeating schedule.
+ */
+
+import * as THREE from 'three';
+import { waterSettings } from './water-settings.js';
+import { createRandom } from './random.js';
+
+// Weather states the transitions blend between; calm gives the default
+// wave settings
+const weatherPresets = {
+  calm: { windSpeed: 5, windAngle: 45, rain: 0, cloudCover: 0 },
+  breezy: { windSpeed: 12, windAngle: 70, rain: 0, cloudCover: 0.35 },
+  storm: { windSpeed: 25, windAngle: 110, rain: 1, cloudCover: 1 }
+};
+
+// Default weather parameters
+const weatherParams = {
+  preset: 'calm',           // Starting weather
+  transitionTime: 8.0,      // Seconds to blend into a new preset
+  autoCycle: false,         // Step through the schedule on its own
+  cycleInterval: 45.0,      // Seconds spent at each scheduled preset
+  schedule: ['calm', 'breezy', 'storm', 'breezy'],
+
+  // How the wind (m/s) sets the waves
+  stillWaveHeight: 0.05,    // Wave height with no wind
+  waveHeightPerWind: 0.03,  // Extra height per m/s of wind
+  stillWaveSpeed: 0.5,      // Wave speed with no wind
+  waveSpeedPerWind: 0.1,    // Extra wave speed per m/s of wind
+
+  // Rain
+  dropsPerSecond: 400,      // Ripple-making drops at full rain
+  dropArea: 14,             // Radius around the player where drops land
+  dropStrength: 0.015,      // Depth of the dent each drop makes
+  dropRadius: 0.2,          // Size of the dent
+  rainStreaks: 1500,        // Falling streaks drawn at full rain
+  rainVolume: 20,           // Size of the box of streaks around the camera
+  rainFallSpeed: 12,        // Streak fall speed in m/s
+  rainWindDrift: 0.3,       // Fraction of the wind speed the streaks drift at
+
+  // Light getting through full cloud cover
+  stormLightFactor: 0.35
+};
+
+// Keys blended between presets
+const weatherKeys = ['windSpeed', 'windAngle', 'rain', 'cloudCover'];
+
+/**
+ * Creates the weather system
+ * @param {THREE.Scene} scene - Scene to add the rain streaks to
+ * @param {Object} waterPhysics - Water physics simulator whose ripple field the rain disturbs
+ * @param {Object} params - Optional parameters to override defaults
+ * @param {Object} params.store - Settings store the waves are written to (defaults to the shared water settings)
+ * @returns {Object} The weather object
+ */
+export function createWeather(scene, waterPhysics, params = {}) {
+  const { store = waterSettings, ...overrides } = params;
+
+  // Merge provided params with defaults
+  const settings = { ...weatherParams, ...overrides };
+
+  // Current blended weather, and the blend in progress
+  const state = { ...weatherPresets[settings.preset] };
+  const wind = new THREE.Vector2();
+  let from = { ...state };
+  let to = { ...state };
+  let transitionProgress = 1;
+  let transitionDuration = 0;
+  let cycleTimer = 0;
+  let cycleIndex = Math.max(0, settings.schedule.indexOf(settings.preset));
+
+  // Seeded, so the same rain falls every run
+  const random = createRandom(17);
+  let pendingDrops = 0;
+
+  // Falling rain streaks in a box that follows the camera
+  const streakPositions = new Float32Array(settings.rainStreaks * 6);
+  const streakOffsets = new Float32Array(settings.rainStreaks * 3);
+  for (let i = 0; i < settings.rainStreaks; i++) {
+    streakOffsets[i * 3] = (random() - 0.5) * settings.rainVolume;
+    streakOffsets[i * 3 + 1] = random() * settings.rainVolume;
+    streakOffsets[i * 3 + 2] = (random() - 0.5) * settings.rainVolume;
+  }
+  const rainGeometry = new THREE.BufferGeometry();
+  rainGeometry.setAttribute('position', new THREE.BufferAttribute(streakPositions, 3));
+  const rainMaterial = new THREE.LineBasicMaterial({
+    color: 0xaabbcc,
+    transparent: true,
+    opacity: 0,
+    depthWrite: false
+  });
+  const rain = new THREE.LineSegments(rainGeometry, rainMaterial);
+  rain.frustumCulled = false;
+  rain.visible = false;
+  scene.add(rain);
+
+  function updateWindVector() {
+    const angle = THREE.MathUtils.degToRad(state.windAngle);
+    wind.set(Math.cos(angle), Math.sin(angle)).multiplyScalar(state.windSpeed);
+  }
+
+  // Write the wind into the wave settings, so the shader waves and
+  // getWaterHeight both follow it. Only transitions write, so waves tuned
+  // by hand stay put until the weather next changes.
+  function applyWind() {
+    store.update({
+      waveAngle: THREE.MathUtils.euclideanModulo(state.windAngle, 360),
+      waveHeight: settings.stillWaveHeight + settings.waveHeightPerWind * state.windSpeed,
+      waveSpeed: settings.stillWaveSpeed + settings.waveSpeedPerWind * state.windSpeed
+    });
+  }
+
+  /**
+   * Starts blending towards a preset
+   * @param {string} name - One of the weather presets
+   * @param {number} duration - Blend time in seconds (defaults to transitionTime)
+   */
+  function setPreset(name, duration = settings.transitionTime) {
+    if (!weatherPresets[name]) {
+      throw new Error(`Unknown weather preset "${name}"`);
+    }
+    settings.preset = name;
+    from = { ...state };
+    to = { ...weatherPresets[name] };
+
+    // Turn the wind the short way round
+    const turn = THREE.MathUtils.euclideanModulo(to.windAngle - from.windAngle + 180, 360) - 180;
+    to.windAngle = from.windAngle + turn;
+
+    transitionDuration = duration;
+    transitionProgress = duration > 0 ? 0 : 1;
+    cycleTimer = 0;
+    if (transitionProgress === 1) blend(1);
+  }
+
+  // Blend the state between the two presets
+  function blend(t) {
+    const eased = THREE.MathUtils.smootherstep(t, 0, 1);
+    for (const key of weatherKeys) {
+      state[key] = THREE.MathUtils.lerp(from[key], to[key], eased);
+    }
+    updateWindVector();
+    applyWind();
+  }
+
+  // Dent the surface with raindrops around the player
+  function updateRain(deltaTime, center, camera) {
+    pendingDrops += state.rain * settings.dropsPerSecond * deltaTime;
+    while (pendingDrops >= 1) {
+      pendingDrops--;
+      const angle = random() * Math.PI * 2;
+      const distance = Math.sqrt(random()) * settings.dropArea;
+      waterPhysics.rippleField.disturb(
+        center.x + Math.cos(angle) * distance,
+        center.z + Math.sin(angle) * distance,
+        -settings.dropStrength,
+        settings.dropRadius
+      );
+    }
+
+    rain.visible = state.rain > 0.01;
+    if (!rain.visible) return;
+    rainMaterial.opacity = 0.45 * state.rain;
+
+    // Streaks fall through a box that wraps around the camera, slanted by the wind
+    const slant = settings.rainWindDrift / settings.rainFallSpeed;
+    const slantX = wind.x * slant;
+    const slantZ = wind.y * slant;
+    const size = settings.rainVolume;
+    const streakLength = 0.5;
+    for (let i = 0; i < settings.rainStreaks; i++) {
+      let height = streakOffsets[i * 3 + 1] - settings.rainFallSpeed * deltaTime;
+      height = THREE.MathUtils.euclideanModulo(height, size);
+      streakOffsets[i * 3 + 1] = height;
+
+      const x = camera.position.x + THREE.MathUtils.euclideanModulo(streakOffsets[i * 3] - slantX * height, size) - size / 2;
+      const y = camera.position.y + height - size / 2;
+      const z = camera.position.z + THREE.MathUtils.euclideanModulo(streakOffsets[i * 3 + 2] - slantZ * height, size) - size / 2;
+      streakPositions.set([
+        x, y, z,
+        x - slantX * streakLength, y + streakLength, z - slantZ * streakLength
+      ], i * 6);
+    }
+    rainGeometry.attributes.position.needsUpdate = true;
+  }
+
+  updateWindVector();
+
+  return {
+    settings,
+    presets: Object.keys(weatherPresets),
+
+    // The current blended weather: windSpeed, windAngle, rain, cloudCover
+    state,
+
+    // Wind velocity over the water (x, z) in m/s, blowing the same way as the waves
+    wind,
+
+    // Whether a transition is still blending
+    get isTransitioning() {
+      return transitionProgress < 1;
+    },
+
+    // Multiplier for sunlight and ambient light under the clouds
+    get lightFactor() {
+      return THREE.MathUtils.lerp(1, settings.stormLightFactor, state.cloudCover);
+    },
+
+    setPreset,
+
+    /**
+     * Advances transitions, the schedule and the rain
+     * @param {number} deltaTime - Simulated time since the last frame in seconds
+     * @param {THREE.Vector3} center - Where the rain ripples fall (the player)
+     * @param {THREE.Camera} camera - Camera the rain streaks surround
+     */
+    update: function(deltaTime, center, camera) {
+      if (transitionProgress < 1) {
+        transitionProgress = Math.min(1, transitionProgress + deltaTime / transitionDuration);
+        blend(transitionProgress);
+      } else if (settings.autoCycle) {
+        cycleTimer += deltaTime;
+        if (cycleTimer >= settings.cycleInterval) {
+          cycleIndex = (cycleIndex + 1) % settings.schedule.length;
+          setPreset(settings.schedule[cycleIndex]);
+        }
+      }
+
+      updateRain(deltaTime, center, camera);
+    },
+
+    // Remove the rain streaks
+    dispose: function() {
+      scene.remove(rain);
+      rainGeometry.dispose();
+      rainMaterial.dispose();
+    }
+  };
+}
+
+/**
+ * Adds a Weather folder to a GUI
+ * @param {GUI} gui - The GUI to extend
+ * @param {Object} weather - Weather from createWeather
+ * @returns {GUI} The new folder
+ */
+export function createWeatherControls(gui, weather) {
+  const { settings, state } = weather;
+  const folder = gui.addFolder('Weather');
+
+  folder.add(settings, 'preset', weather.presets)
+    .name('Weather')
+    .onChange((name) => weather.setPreset(name))
+    .listen();
+  folder.add(settings, 'transitionTime', 0, 30, 0.5).name('Transition (s)');
+  folder.add(settings, 'autoCycle').name('Cycle Weather');
+  folder.add(settings, 'cycleInterval', 10, 300, 5).name('Cycle Every (s)');
+  folder.add(state, 'windSpeed').name('Wind (m/s)').disable().listen();
+  folder.add(state, 'rain', 0, 1).name('Rain').disable().listen();
+
+  return folder;
+}
+
+// Export parameters for use elsewhere
+export { weatherParams, weatherPresets };
@@ -0,0 +1,437 @@
+/**
+ * Wildlife
+ *
+ * This file fills the pond with other animals: capybaras that tag along
+ * behind the player, ducks that paddle about in flocks and scatter when it
+ * comes close, and schools of fish below the surface. Each animal is a
+ * Rapier body floated by the same water physics as the player, and moves
+ * by steering behaviours (wander, flock, avoid islands, follow or flee
+ * the player) that are summed into a desired velocity and applied as
+ * forces on its body.
+ */
+
+import * as THREE from 'three';
+import RAPIER from '@dimforge/rapier3d-compat';
+import { createCapybaraPlaceholder } from './capybara-model.js';
+import { getIslandAreas } from './game-rules.js';
+import { createRandom } from './random.js';
+
+// Default wildlife parameters
+const wildlifeParams = {
+  neighbourRadius: 4.0,     // Distance within which animals flock together
+  separationRadius: 1.5,    // Distance within which they move apart
+  islandMargin: 1.5,        // Distance kept from island shores
+  edgeMargin: 5.0,          // Distance kept from the edge of the water
+  wanderJitter: 1.5,        // How quickly the wander direction drifts (radians per second)
+  turnStiffness: 8.0,       // How strongly bodies turn to face where they swim
+  turnDamping: 3.0          // Resistance to spinning past that heading
+};
+
+// Species with their bodies and behaviours. Speeds are in m/s, steering
+// is the largest acceleration (m/s²) the behaviours may apply, and the
+// weights scale each behaviour's desired velocity before they're summed.
+const speciesTypes = {
+  capybara: {
+    size: 0.7, density: 0.45, dragScale: 1,
+    maxSpeed: 1.2, steering: 3,
+    wander: 0.6, separation: 1.5, alignment: 0.2, cohesion: 0.2, avoidance: 3,
+    player: 'follow', playerWeight: 1.0, playerRadius: 12, followDistance: 3
+  },
+  duck: {
+    size: 0.5, density: 0.5, dragScale: 1,
+    maxSpeed: 1.5, steering: 4,
+    wander: 0.3, separation: 1.2, alignment: 0.8, cohesion: 0.8, avoidance: 3,
+    player: 'flee', playerWeight: 2.0, playerRadius: 5,
+    surfaceStiffness: 30, surfaceDamping: 6  // Keep them riding the waves
+  },
+  // Fish are made as dense as the water holds up (see neutralDensity)
+  fish: {
+    size: 0.3, density: 1.0, dragScale: 0.4,
+    maxSpeed: 2.0, steering: 6,
+    wander: 0.3, separation: 1.0, alignment: 1.0, cohesion: 1.0, avoidance: 3,
+    player: 'flee', playerWeight: 2.5, playerRadius: 4,
+    minDepth: 0.5, floorClearance: 0.4, depthStiffness: 6  // Stay between the bed and the surface
+  }
+};
+
+// Meshes and colliders for each species, facing +X like the player
+const speciesShapes = {
+  capybara: (size) => {
+    const mesh = createCapybaraPlaceholder();
+    mesh.scale.setScalar(size);
+    return {
+      mesh,
+      colliders: [
+        RAPIER.ColliderDesc.capsule(0.6 * size, 0.7 * size)
+          .setRotation(new THREE.Quaternion().setFromEuler(new THREE.Euler(0, 0, Math.PI / 2))),
+        RAPIER.ColliderDesc.ball(0.5 * size).setTranslation(0.9 * size, 0.2 * size, 0)
+      ]
+    };
+  },
+  duck: (size) => {
+    const mesh = new THREE.Group();
+    const feathers = new THREE.MeshStandardMaterial({ color: 0x8a6a45, roughness: 0.9 });
+    const body = new THREE.Mesh(new THREE.SphereGeometry(size / 2, 12, 8), feathers);
+    body.scale.set(1.3, 0.7, 0.9);
+    const head = new THREE.Mesh(
+      new THREE.SphereGeometry(size / 4, 10, 8),
+      new THREE.MeshStandardMaterial({ color: 0x2f6b3a, roughness: 0.6 })
+    );
+    head.position.set(size * 0.5, size * 0.4, 0);
+    const beak = new THREE.Mesh(
+      new THREE.ConeGeometry(size / 12, size / 4, 6).rotateZ(-Math.PI / 2),
+      new THREE.MeshStandardMaterial({ color: 0xe0a020 })
+    );
+    beak.position.set(size * 0.8, size * 0.37, 0);
+    mesh.add(body, head, beak);
+    return { mesh, colliders: [RAPIER.ColliderDesc.ball(size / 2)] };
+  },
+  fish: (size) => {
+    const mesh = new THREE.Group();
+    const scales = new THREE.MeshStandardMaterial({ color: 0xd08a3c, roughness: 0.4, metalness: 0.3 });
+    const body = new THREE.Mesh(new THREE.SphereGeometry(size / 2, 10, 6), scales);
+    body.scale.set(1.4, 0.6, 0.4);
+    const tail = new THREE.Mesh(new THREE.ConeGeometry(size / 4, size / 2, 4).rotateZ(Math.PI / 2), scales);
+    tail.position.x = -size * 0.8;
+    mesh.add(body, tail);
+    return { mesh, colliders: [RAPIER.ColliderDesc.ball(size / 2)] };
+  }
+};
+
+/**
+ * Creates the pond's wildlife from a level's wildlife groups
+ * @param {Object} level - Level from parseLevel
+ * @param {THREE.Scene} scene - Scene to add the animals to
+ * @param {RAPIER.World} world - World to add their bodies to
+ * @param {Object} waterPhysics - Water physics that floats them, and whose surface they follow
+ * @param {Object} options - Wildlife options
+ * @param {Function} options.getGroundHeight - Ground height at (x, z), kept clear by fish
+ * @param {number} options.waterLevel - Height of the water surface to spawn at (defaults to the level's)
+ * @param {Function} options.applyCaustics - Called with each animal's mesh to show caustics on it underwater
+ * @param {Object} options.params - Optional parameters to override defaults
+ * @returns {Object} The wildlife object
+ */
+export function createWildlife(level, scene, world, waterPhysics, options = {}) {
+  const {
+    getGroundHeight = () => -Infinity,
+    waterLevel = level.water.level,
+    applyCaustics = () => {},
+    params = {}
+  } = options;
+
+  // Merge provided params with defaults
+  const settings = { ...wildlifeParams, ...params };
+
+  const islands = getIslandAreas(level);
+  const [centerX, centerZ] = level.water.center;
+  const [width, depth] = level.water.size;
+
+  // Reusable vectors to avoid per-step allocations
+  const desired = new THREE.Vector3();
+  const steer = new THREE.Vector3();
+  const offset = new THREE.Vector3();
+  const separation = new THREE.Vector3();
+  const alignment = new THREE.Vector3();
+  const cohesion = new THREE.Vector3();
+  const facing = new THREE.Vector3();
+  const bodyQuaternion = new THREE.Quaternion();
+
+  // Density at which the water's buoyancy exactly holds a body up, so
+  // fish float at any depth under the same buoyancy as everything else
+  function neutralDensity() {
+    return waterPhysics.settings.density * waterPhysics.settings.buoyancyMultiplier;
+  }
+
+  // Whether a point is on an island rather than in open water
+  function isOnIsland(x, z, margin = 0) {
+    return islands.some((island) => Math.hypot(x - island.x, z - island.z) < island.radius + margin);
+  }
+
+  // Spawn one animal of a species
+  function spawnAnimal(type, x, y, z, heading) {
+    const species = speciesTypes[type];
+    const { mesh, colliders } = speciesShapes[type](species.size);
+    const rotation = new THREE.Quaternion().setFromAxisAngle(THREE.Object3D.DEFAULT_UP, heading);
+    mesh.position.set(x, y, z);
+    mesh.quaternion.copy(rotation);
+    scene.add(mesh);
+    applyCaustics(mesh);
+
+    // Only yaw: the animals stay upright however the water tosses them
+    const body = world.createRigidBody(
+      RAPIER.RigidBodyDesc.dynamic()
+        .setTranslation(x, y, z)
+        .setRotation(rotation)
+        .enabledRotations(false, true, false)
+    );
+    const density = type === 'fish' ? neutralDensity() : species.density;
+    for (const colliderDesc of colliders) {
+      world.createCollider(colliderDesc.setDensity(density), body);
+    }
+    body.userData = { wildlife: type, dragScale: species.dragScale };
+
+    return {
+      type, species, mesh, body, density,
+      wanderAngle: heading,
+      position: new THREE.Vector3(),
+      velocity: new THREE.Vector3()
+    };
+  }
+
+  // Keep fish neutrally buoyant as the water's density and buoyancy change
+  function matchWaterDensity(animal) {
+    const density = neutralDensity();
+    if (animal.density === density) return;
+    animal.density = density;
+    for (let i = 0; i < animal.body.numColliders(); i++) {
+      animal.body.collider(i).setDensity(density);
+    }
+  }
+
+  // Spawn each wildlife group at random spots in open water
+  const animals = [];
+  for (const group of level.wildlife) {
+    const random = createRandom(group.seed);
+    const [groupX, groupZ] = group.center;
+    let placed = 0;
+
+    // Give up on spots after a fixed number of tries so a group can't
+    // loop forever inside an island
+    for (let attempt = 0; attempt < group.count * 10 && placed < group.count; attempt++) {
+      const angle = random() * Math.PI * 2;
+      const distance = Math.sqrt(random()) * group.radius;
+      const x = groupX + Math.cos(angle) * distance;
+      const z = groupZ + Math.sin(angle) * distance;
+      if (isOnIsland(x, z, settings.islandMargin)) continue;
+
+      const y = group.species === 'fish' ?
+        Math.max(waterLevel - 1, getGroundHeight(x, z) + 0.5) : waterLevel + 0.2;
+      animals.push(spawnAnimal(group.species, x, y, z, random() * Math.PI * 2));
+      placed++;
+    }
+  }
+
+  // Shorten a vector to at most max
+  function limit(vector, max) {
+    if (vector.lengthSq() > max * max) vector.setLength(max);
+    return vector;
+  }
+
+  // Drift the wander direction and swim along it
+  function wander(animal, deltaTime, random) {
+    animal.wanderAngle += (random() - 0.5) * 2 * settings.wanderJitter * deltaTime;
+    return offset.set(Math.cos(animal.wanderAngle), 0, -Math.sin(animal.wanderAngle));
+  }
+
+  // Animals bucketed into cells a neighbour radius wide, refilled every
+  // step, so flocking only looks through the cells around each animal
+  const grid = new Map();
+
+  function cellKey(cellX, cellZ) {
+    return cellX * 4096 + cellZ;
+  }
+
+  function fillGrid() {
+    for (const cell of grid.values()) cell.length = 0;
+    for (const animal of animals) {
+      const key = cellKey(
+        Math.floor(animal.position.x / settings.neighbourRadius),
+        Math.floor(animal.position.z / settings.neighbourRadius)
+      );
+      if (!grid.has(key)) grid.set(key, []);
+      grid.get(key).push(animal);
+    }
+  }
+
+  // Separation, alignment and cohesion with nearby animals of the same species
+  function flock(animal, position) {
+    separation.set(0, 0, 0);
+    alignment.set(0, 0, 0);
+    cohesion.set(0, 0, 0);
+    let neighbours = 0;
+
+    const cellX = Math.floor(position.x / settings.neighbourRadius);
+    const cellZ = Math.floor(position.z / settings.neighbourRadius);
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dz = -1; dz <= 1; dz++) {
+        const cell = grid.get(cellKey(cellX + dx, cellZ + dz));
+        if (!cell) continue;
+        for (const other of cell) {
+          if (other === animal || other.type !== animal.type) continue;
+          if (addNeighbour(other, position)) neighbours++;
+        }
+      }
+    }
+
+    if (neighbours === 0) return desired;
+    const { species } = animal;
+    cohesion.divideScalar(neighbours).sub(position).divideScalar(settings.neighbourRadius);
+    alignment.divideScalar(neighbours * species.maxSpeed);
+    desired.addScaledVector(limit(separation, 1), species.separation);
+    desired.addScaledVector(limit(alignment, 1), species.alignment);
+    desired.addScaledVector(cohesion, species.cohesion);
+    return desired;
+  }
+
+  // Add another animal's pull to the flocking sums if it's close enough
+  function addNeighbour(other, position) {
+    const otherPosition = other.position;
+    offset.subVectors(position, otherPosition);
+    const distance = offset.length();
+    if (distance > settings.neighbourRadius || distance < 1e-6) return false;
+
+    // Push apart harder the closer they are
+    if (distance < settings.separationRadius) {
+      separation.addScaledVector(offset, (settings.separationRadius - distance) / (distance * settings.separationRadius));
+    }
+    alignment.add(other.velocity);
+    cohesion.add(otherPosition);
+    return true;
+  }
+
+  // Steer away from island shores and the edge of the water
+  function avoidObstacles(animal, position) {
+    for (const island of islands) {
+      offset.set(position.x - island.x, 0, position.z - island.z);
+      const clearance = offset.length() - island.radius;
+      if (clearance > settings.islandMargin) continue;
+      const urgency = 1 - Math.max(0, clearance) / settings.islandMargin;
+      desired.addScaledVector(offset.normalize(), urgency * animal.species.avoidance);
+    }
+
+    const edgeX = width / 2 - settings.edgeMargin - Math.abs(position.x - centerX);
+    const edgeZ = depth / 2 - settings.edgeMargin - Math.abs(position.z - centerZ);
+    if (edgeX < 0) desired.x -= Math.sign(position.x - centerX) * animal.species.avoidance;
+    if (edgeZ < 0) desired.z -= Math.sign(position.z - centerZ) * animal.species.avoidance;
+    return desired;
+  }
+
+  // Follow the player at a distance, or flee when it comes close
+  function reactToPlayer(animal, position, playerPosition) {
+    const { species } = animal;
+    offset.set(playerPosition.x - position.x, 0, playerPosition.z - position.z);
+    const distance = offset.length();
+    if (distance > species.playerRadius || distance < 1e-6) return desired;
+
+    if (species.player === 'flee') {
+      const urgency = 1 - distance / species.playerRadius;
+      desired.addScaledVector(offset.normalize(), -urgency * species.playerWeight);
+    } else if (distance > species.followDistance) {
+      // Slow down on arrival rather than bumping into the player
+      const arrival = Math.min(1, (distance - species.followDistance) / species.followDistance);
+      desired.addScaledVector(offset.normalize(), arrival * species.playerWeight);
+    }
+    return desired;
+  }
+
+  // Hold ducks on the surface and steer fish back between the bed and the
+  // surface; neutral buoyancy keeps them wherever they are in between
+  function holdDepth(animal, position, velocity, surfaceHeight) {
+    const { species, body } = animal;
+    const mass = body.mass();
+
+    if (animal.type === 'duck') {
+      return mass * ((surfaceHeight - position.y) * species.surfaceStiffness - velocity.y * species.surfaceDamping);
+    }
+    if (animal.type === 'fish') {
+      const ceiling = surfaceHeight - species.minDepth;
+      const floor = Math.min(ceiling, getGroundHeight(position.x, position.z) + species.floorClearance);
+      const target = THREE.MathUtils.clamp(position.y, floor, ceiling);
+      return mass * ((target - position.y) * species.depthStiffness - velocity.y * 2);
+    }
+    return 0;
+  }
+
+  // Turn the body to face the way it's swimming, like the player controller
+  function faceVelocity(animal, deltaTime) {
+    const { body, velocity } = animal;
+    if (velocity.x * velocity.x + velocity.z * velocity.z < 0.01) return;
+
+    const rotation = body.rotation();
+    bodyQuaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
+    facing.set(1, 0, 0).applyQuaternion(bodyQuaternion);
+
+    let yawError = Math.atan2(-velocity.z, velocity.x) - Math.atan2(-facing.z, facing.x);
+    yawError = Math.atan2(Math.sin(yawError), Math.cos(yawError));
+
+    const inertia = body.principalInertia();
+    const yawInertia = Math.max(inertia.x, inertia.y, inertia.z);
+    const angularAcceleration = yawError * settings.turnStiffness - body.angvel().y * settings.turnDamping;
+    body.applyTorqueImpulse({ x: 0, y: angularAcceleration * yawInertia * deltaTime, z: 0 }, true);
+  }
+
+  // Seeded, so the animals wander the same way every run
+  const random = createRandom(level.wildlife.length > 0 ? level.wildlife[0].seed + 1 : 1);
+
+  return {
+    settings,
+    animals,
+
+    /**
+     * Steers every animal for this step; call before stepping the world
+     * @param {number} deltaTime - Physics step in seconds
+     * @param {number} waterLevel - Base height of the water surface
+     * @param {number} time - Elapsed time used by the wave functions
+     * @param {Object} playerPosition - The player's position {x, y, z}
+     */
+    update: function(deltaTime, waterLevel, time, playerPosition) {
+      // Read each body once per step, for itself and its neighbours
+      for (const animal of animals) {
+        animal.position.copy(animal.body.translation());
+        animal.velocity.copy(animal.body.linvel());
+        if (animal.type === 'fish') matchWaterDensity(animal);
+      }
+      fillGrid();
+
+      for (const animal of animals) {
+        const { species, body, position, velocity } = animal;
+        const surfaceHeight = waterLevel + waterPhysics.getWaterHeight(position.x, position.z, time);
+
+        // Only steer in the water; stranded animals wait for a wave
+        if (animal.type !== 'fish' && position.y > surfaceHeight + 0.3) continue;
+
+        // Sum the behaviours into a desired horizontal velocity
+        desired.set(0, 0, 0);
+        desired.addScaledVector(wander(animal, deltaTime, random), species.wander);
+        flock(animal, position);
+        avoidObstacles(animal, position);
+        reactToPlayer(animal, position, playerPosition);
+        desired.y = 0;
+        limit(desired, 1).multiplyScalar(species.maxSpeed);
+
+        // Steer towards it, no harder than the species can swim
+        steer.set(desired.x - velocity.x, 0, desired.z - velocity.z);
+        limit(steer, species.steering);
+
+        const mass = body.mass();
+        body.applyImpulse({
+          x: steer.x * mass * deltaTime,
+          y: holdDepth(animal, position, velocity, surfaceHeight) * deltaTime,
+          z: steer.z * mass * deltaTime
+        }, true);
+        faceVelocity(animal, deltaTime);
+      }
+    },
+
+    // Remove every animal
+    dispose: function() {
+      for (const { mesh, body } of animals) {
+        for (let i = 0; i < body.numColliders(); i++) {
+          waterPhysics.clearSampleCache(body.collider(i).handle);
+        }
+        world.removeRigidBody(body);
+        scene.remove(mesh);
+        mesh.traverse((object) => {
+          if (!object.isMesh) return;
+          object.geometry.dispose();
+          object.material.dispose();
+        });
+      }
+      animals.length = 0;
+      grid.clear();
+    }
+  };
+}
+
+// Export parameters for use elsewhere
+export { wildlifeParams, speciesTypes };
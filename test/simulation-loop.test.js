@@ -0,0 +1,162 @@
+/**
+ * Simulation Loop Tests
+ *
+ * Headless checks of the fixed-timestep loop in createSimulationLoop: how
+ * frame time is spent in whole steps, the catch-up limits, pausing,
+ * frame-stepping and slow motion. Each test drives its own loop with
+ * made-up frame times and counts the steps it runs. Run with `npm test`.
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulationLoop } from '../src/simulation-loop.js';
+import { createSettingsStore } from '../src/settings-store.js';
+import { waterSettingsSchema } from '../src/water-settings.js';
+import { isTypingEvent } from '../src/keyboard.js';
+
+const TICK_RATE = 60;
+const SUB_STEPS = 3;
+const STEP_TIME = 1 / (TICK_RATE * SUB_STEPS);
+
+before(() => {
+  // The loop listens for its shortcut keys on the window
+  globalThis.window = new EventTarget();
+});
+
+/**
+ * Creates a loop that records the physics steps it runs
+ * @param {Object} params - Loop parameters to override
+ * @returns {Object} The loop and the list of (stepTime, time) calls
+ */
+function createRecordedLoop(params = {}) {
+  const store = createSettingsStore(waterSettingsSchema);
+  store.set('subSteps', SUB_STEPS);
+  const steps = [];
+  const loop = createSimulationLoop((stepTime, time) => steps.push({ stepTime, time }), {
+    store,
+    tickRate: TICK_RATE,
+    ...params
+  });
+  return { loop, steps };
+}
+
+function pressKey(code) {
+  window.dispatchEvent(Object.assign(new Event('keydown'), { code }));
+}
+
+test('frame time is spent in whole steps, carrying the remainder over', () => {
+  const { loop, steps } = createRecordedLoop();
+
+  assert.equal(loop.update(2.5 * STEP_TIME), 2);
+  assert.ok(Math.abs(loop.alpha - 0.5) < 1e-9, `alpha ${loop.alpha}`);
+
+  // The half step left over completes with the next frame
+  assert.equal(loop.update(0.5 * STEP_TIME), 1);
+  assert.ok(loop.alpha < 1e-9, `alpha ${loop.alpha}`);
+
+  assert.equal(steps.length, 3);
+  steps.forEach(({ stepTime, time }, i) => {
+    assert.equal(stepTime, STEP_TIME);
+    assert.ok(Math.abs(time - i * STEP_TIME) < 1e-12);
+  });
+  loop.dispose();
+});
+
+test('a long frame runs at most the catch-up limit and drops the rest', () => {
+  const { loop, steps } = createRecordedLoop({ maxTicksPerFrame: 4 });
+
+  assert.equal(loop.update(1), 4 * SUB_STEPS);
+  assert.equal(loop.frameTime, loop.settings.maxFrameTime);
+  assert.ok(loop.alpha < 1, `alpha ${loop.alpha}`);
+
+  // Nothing is left owing for the next frame
+  assert.equal(loop.update(0), 0);
+  assert.equal(steps.length, 4 * SUB_STEPS);
+  loop.dispose();
+});
+
+test('a long frame reports only the time the simulation caught up on', () => {
+  const { loop } = createRecordedLoop({ maxTicksPerFrame: 4 });
+
+  loop.update(1);
+
+  // Four ticks ran and less than a step is left over, so that's all that passed
+  const caughtUp = loop.time + loop.alpha * STEP_TIME;
+  assert.ok(Math.abs(loop.deltaTime - caughtUp) < 1e-12, `deltaTime ${loop.deltaTime} vs ${caughtUp}`);
+  assert.ok(loop.deltaTime < 4 / TICK_RATE + STEP_TIME);
+  loop.dispose();
+});
+
+test('a paused loop draws its latest step, also after stepping a tick', () => {
+  const { loop } = createRecordedLoop();
+
+  loop.update(2.5 * STEP_TIME);
+  assert.ok(loop.alpha < 1);
+
+  loop.settings.paused = true;
+  loop.update(1 / TICK_RATE);
+  assert.equal(loop.alpha, 1);
+  assert.equal(loop.renderTime, loop.time);
+
+  loop.stepFrame();
+  assert.equal(loop.update(1 / TICK_RATE), SUB_STEPS);
+  assert.equal(loop.alpha, 1);
+  assert.equal(loop.renderTime, loop.time);
+  loop.dispose();
+});
+
+test('a paused loop only runs the ticks stepped through', () => {
+  const { loop, steps } = createRecordedLoop({ paused: true });
+
+  assert.equal(loop.update(1 / TICK_RATE), 0);
+  assert.equal(loop.deltaTime, 0);
+
+  loop.stepFrame();
+  loop.stepFrame();
+  assert.equal(loop.update(1 / TICK_RATE), 2 * SUB_STEPS);
+  assert.ok(Math.abs(loop.deltaTime - 2 / TICK_RATE) < 1e-12);
+  assert.equal(loop.update(1 / TICK_RATE), 0);
+
+  // Stepping does nothing once running again
+  loop.settings.paused = false;
+  loop.stepFrame();
+  assert.equal(loop.update(0), 0);
+  assert.equal(steps.length, 2 * SUB_STEPS);
+  loop.dispose();
+});
+
+test('the time scale slows the simulation without changing the step length', () => {
+  const { loop, steps } = createRecordedLoop({ timeScale: 0.5 });
+
+  for (let frame = 0; frame < TICK_RATE; frame++) loop.update(1 / TICK_RATE);
+
+  // A second of frames simulates half a second, give or take a step
+  assert.ok(Math.abs(steps.length - TICK_RATE * SUB_STEPS / 2) <= 1, `${steps.length} steps`);
+  assert.ok(steps.every(({ stepTime }) => stepTime === STEP_TIME));
+  loop.dispose();
+});
+
+test('P pauses and N steps a tick, until the loop is disposed', () => {
+  const { loop, steps } = createRecordedLoop();
+
+  pressKey('KeyP');
+  assert.equal(loop.settings.paused, true);
+  pressKey('KeyN');
+  assert.equal(loop.update(1 / TICK_RATE), SUB_STEPS);
+
+  loop.dispose();
+  pressKey('KeyP');
+  assert.equal(loop.settings.paused, true);
+  assert.equal(steps.length, SUB_STEPS);
+});
+
+test('keys typed into text fields are told apart from shortcuts', () => {
+  const typedInto = (target) => isTypingEvent({ target });
+
+  assert.equal(typedInto({ tagName: 'INPUT', type: 'text' }), true);
+  assert.equal(typedInto({ tagName: 'TEXTAREA' }), true);
+  assert.equal(typedInto({ tagName: 'DIV', isContentEditable: true }), true);
+  assert.equal(typedInto({ tagName: 'INPUT', type: 'checkbox' }), false);
+  assert.equal(typedInto({ tagName: 'CANVAS' }), false);
+  assert.equal(typedInto(window), false);
+});
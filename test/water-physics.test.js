@@ -0,0 +1,220 @@
+/**
+ * Water Physics Tests
+ *
+ * Headless checks of the buoyancy, drag and wave queries in
+ * createWaterPhysics. Each test builds its own Rapier world and settings
+ * store, steps at a fixed timestep and draws any random placement from a
+ * seeded generator, so every run is identical. Run with `npm test`.
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import RAPIER from '@dimforge/rapier3d-compat';
+import { createWaterPhysics } from '../src/water-physics.js';
+import { createSettingsStore } from '../src/settings-store.js';
+import { waterSettingsSchema } from '../src/water-settings.js';
+import { createRandom, randomRange } from '../src/random.js';
+
+const FIXED_STEP = 1 / 60;
+const WATER_LEVEL = 0;
+
+// Flat water, so bodies can come to rest
+const CALM_WATER = { waveHeight: 0 };
+
+before(async () => {
+  await RAPIER.init();
+});
+
+/**
+ * Creates a world with water physics and a fresh settings store
+ * @param {Object} settings - Water settings to override
+ * @returns {Object} The world, water physics and a step(seconds) function
+ */
+function createPond(settings = {}) {
+  const world = new RAPIER.World({ x: 0, y: -9.81, z: 0 });
+  world.timestep = FIXED_STEP;
+  const store = createSettingsStore(waterSettingsSchema);
+  const waterPhysics = createWaterPhysics(world, { store, ...settings });
+  let time = 0;
+
+  return {
+    world,
+    store,
+    waterPhysics,
+
+    // Advance the simulation by a number of seconds in fixed steps
+    step: function(seconds) {
+      const steps = Math.round(seconds / FIXED_STEP);
+      for (let i = 0; i < steps; i++) {
+        waterPhysics.update(FIXED_STEP, WATER_LEVEL, time);
+        world.step();
+        time += FIXED_STEP;
+      }
+    },
+
+    dispose: function() {
+      waterPhysics.dispose();
+      world.free();
+    }
+  };
+}
+
+// Add a 1 m cube of the given density with a seeded random pose
+function addCube(world, random, density, y) {
+  const yaw = randomRange(random, 0, Math.PI * 2);
+  const body = world.createRigidBody(
+    RAPIER.RigidBodyDesc.dynamic()
+      .setTranslation(randomRange(random, -5, 5), y, randomRange(random, -5, 5))
+      .setRotation({ x: 0, y: Math.sin(yaw / 2), z: 0, w: Math.cos(yaw / 2) })
+  );
+  world.createCollider(RAPIER.ColliderDesc.cuboid(0.5, 0.5, 0.5).setDensity(density), body);
+  return body;
+}
+
+function speed(body) {
+  const velocity = body.linvel();
+  return Math.hypot(velocity.x, velocity.y, velocity.z);
+}
+
+test('a body with water density settles at the submersion set by the buoyancy multiplier', () => {
+  const pond = createPond({ ...CALM_WATER, buoyancyMultiplier: 1.2 });
+  const cube = addCube(pond.world, createRandom(1), 1.0, 1);
+
+  pond.step(20);
+
+  // Archimedes: submerged fraction = body density / (water density * multiplier)
+  assert.ok(
+    Math.abs(pond.waterPhysics.getSubmergedRatio(cube) - 1 / 1.2) < 0.02,
+    `submerged ratio ${pond.waterPhysics.getSubmergedRatio(cube)}`
+  );
+  assert.ok(speed(cube) < 0.01, `still moving at ${speed(cube)} m/s`);
+  pond.dispose();
+});
+
+test('a body half as dense as the water floats half submerged', () => {
+  const pond = createPond({ ...CALM_WATER, buoyancyMultiplier: 1 });
+  const cube = addCube(pond.world, createRandom(2), 0.5, 2);
+
+  pond.step(20);
+
+  assert.ok(Math.abs(pond.waterPhysics.getSubmergedRatio(cube) - 0.5) < 0.02);
+  assert.ok(Math.abs(cube.translation().y - WATER_LEVEL) < 0.05, `floats at y = ${cube.translation().y}`);
+  pond.dispose();
+});
+
+test('denser bodies sink', () => {
+  const pond = createPond({ ...CALM_WATER, buoyancyMultiplier: 1 });
+  const random = createRandom(3);
+  const floater = addCube(pond.world, random, 0.8, 0);
+  const sinker = addCube(pond.world, random, 2.0, 0);
+
+  pond.step(5);
+
+  assert.ok(floater.translation().y > WATER_LEVEL - 0.5, 'lighter cube should stay at the surface');
+  assert.ok(sinker.translation().y < WATER_LEVEL - 3, `denser cube only reached y = ${sinker.translation().y}`);
+  assert.equal(pond.waterPhysics.getSubmergedRatio(sinker), 1);
+  assert.ok(sinker.linvel().y < 0, 'denser cube should still be sinking');
+  pond.dispose();
+});
+
+test('drag brings a pushed body to rest', () => {
+  // Neutrally buoyant and fully submerged, so only drag acts on it
+  const pond = createPond({ ...CALM_WATER, buoyancyMultiplier: 1 });
+  const cube = addCube(pond.world, createRandom(4), 1.0, -3);
+  const start = cube.translation();
+  cube.setLinvel({ x: 3, y: 0, z: -1 }, true);
+
+  pond.step(1);
+  const earlySpeed = speed(cube);
+  pond.step(14);
+
+  assert.ok(earlySpeed < 3, 'drag should slow the cube');
+  assert.ok(speed(cube) < 0.01, `still moving at ${speed(cube)} m/s`);
+
+  // Linear drag limits how far the push can carry it
+  const end = cube.translation();
+  assert.ok(Math.hypot(end.x - start.x, end.z - start.z) < 8);
+  pond.dispose();
+});
+
+test('a body\'s user data scales the drag and buoyancy it feels', () => {
+  const pond = createPond({ ...CALM_WATER, buoyancyMultiplier: 1 });
+  const random = createRandom(8);
+  const plain = addCube(pond.world, random, 1.0, -3);
+  const draggy = addCube(pond.world, random, 1.0, -3);
+  const buoyant = addCube(pond.world, random, 1.0, 2);
+  draggy.userData = { dragScale: 4 };
+  buoyant.userData = { buoyancyScale: 2 };
+  plain.setLinvel({ x: 2, y: 0, z: 0 }, true);
+  draggy.setLinvel({ x: 2, y: 0, z: 0 }, true);
+
+  pond.step(0.5);
+
+  assert.ok(speed(draggy) < speed(plain), `scaled drag ${speed(draggy)} vs ${speed(plain)} m/s`);
+
+  // Twice the buoyancy floats it like a half-density body, though with
+  // twice the mass to damp it takes longer to settle
+  pond.step(40);
+  assert.ok(
+    Math.abs(pond.waterPhysics.getSubmergedRatio(buoyant) - 0.5) < 0.02,
+    `submerged ratio ${pond.waterPhysics.getSubmergedRatio(buoyant)}`
+  );
+  pond.dispose();
+});
+
+test('a current carries a floating body at its speed', () => {
+  const pond = createPond({ ...CALM_WATER, buoyancyMultiplier: 1 });
+  pond.waterPhysics.flowField.setFlows([{ type: 'current', direction: [3, 4], speed: 0.5 }]);
+  const cube = addCube(pond.world, createRandom(7), 0.5, 0);
+
+  pond.step(15);
+
+  const velocity = cube.linvel();
+  assert.ok(Math.abs(velocity.x - 0.3) < 0.01, `drifting at x ${velocity.x} m/s`);
+  assert.ok(Math.abs(velocity.z - 0.4) < 0.01, `drifting at z ${velocity.z} m/s`);
+  pond.dispose();
+});
+
+test('the same seed gives the same simulation', () => {
+  function run() {
+    const pond = createPond({ buoyancyMultiplier: 1 });
+    const random = createRandom(5);
+    const cubes = [0.3, 0.6, 0.9].map((density) => addCube(pond.world, random, density, randomRange(random, 0, 2)));
+    pond.step(3);
+    const positions = cubes.map((cube) => cube.translation());
+    pond.dispose();
+    return positions;
+  }
+
+  assert.deepEqual(run(), run());
+});
+
+test('getWaterHeight finds the height of the displaced surface', () => {
+  const random = createRandom(6);
+
+  for (let trial = 0; trial < 5; trial++) {
+    const pond = createPond({
+      waveHeight: randomRange(random, 0.05, 1),
+      waveFrequency: randomRange(random, 0.1, 2),
+      waveSteepness: randomRange(random, 0, 1),
+      waveAngle: randomRange(random, 0, 360)
+    });
+    const { waveSpectrum } = pond.waterPhysics;
+
+    // Displace mesh vertices as the shader does, then ask the physics for
+    // the height where each vertex ends up
+    for (let i = 0; i < 50; i++) {
+      const x = randomRange(random, -40, 40);
+      const z = randomRange(random, -40, 40);
+      const time = randomRange(random, 0, 100);
+      const vertex = waveSpectrum.getDisplacement(x, z, time);
+
+      const height = pond.waterPhysics.getWaterHeight(x + vertex.x, z + vertex.z, time);
+      assert.ok(
+        Math.abs(height - vertex.y) < 0.02,
+        `height ${height} vs surface ${vertex.y} at (${x}, ${z}), t = ${time}`
+      );
+    }
+    pond.dispose();
+  }
+});
@@ -0,0 +1,139 @@
+/**
+ * Wildlife Tests
+ *
+ * Headless checks of the steering behaviours in createWildlife: ducks
+ * fleeing the player on the surface, capybaras following it, and fish
+ * keeping between the pond bed and the surface. Each test builds its own
+ * Rapier world on calm water with a seeded group of animals and a player
+ * that stands still. Run with `npm test`.
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import RAPIER from '@dimforge/rapier3d-compat';
+import { createWildlife, speciesTypes } from '../src/wildlife.js';
+import { createWaterPhysics } from '../src/water-physics.js';
+import { createSettingsStore } from '../src/settings-store.js';
+import { waterSettingsSchema } from '../src/water-settings.js';
+import { parseLevel } from '../src/level-loader.js';
+
+const FIXED_STEP = 1 / 60;
+const WATER_LEVEL = 0;
+const GROUND_HEIGHT = -4;
+
+before(async () => {
+  await RAPIER.init();
+});
+
+/**
+ * Creates a pond holding one group of animals around the origin
+ * @param {Object} group - Wildlife group, as in a level file
+ * @param {THREE.Vector3} playerPosition - Where the player stands
+ * @returns {Object} The animals and a step(seconds) function
+ */
+function createPond(group, playerPosition) {
+  const level = parseLevel({
+    version: 1,
+    water: { level: WATER_LEVEL, center: [0, 0], size: [60, 60] },
+    wildlife: [{ seed: 3, center: [0, 0], radius: 3, ...group }]
+  }, 'test');
+  const world = new RAPIER.World({ x: 0, y: -9.81, z: 0 });
+  world.timestep = FIXED_STEP;
+  const store = createSettingsStore(waterSettingsSchema);
+  const waterPhysics = createWaterPhysics(world, { store, waveHeight: 0 });
+  const wildlife = createWildlife(level, new THREE.Scene(), world, waterPhysics, {
+    getGroundHeight: () => GROUND_HEIGHT
+  });
+  let time = 0;
+
+  return {
+    animals: wildlife.animals,
+
+    // Advance the simulation by a number of seconds in fixed steps,
+    // calling check after each one
+    step: function(seconds, check = () => {}) {
+      const steps = Math.round(seconds / FIXED_STEP);
+      for (let i = 0; i < steps; i++) {
+        wildlife.update(FIXED_STEP, WATER_LEVEL, time, playerPosition);
+        waterPhysics.update(FIXED_STEP, WATER_LEVEL, time);
+        world.step();
+        time += FIXED_STEP;
+        check();
+      }
+    },
+
+    dispose: function() {
+      wildlife.dispose();
+      waterPhysics.dispose();
+      world.free();
+    }
+  };
+}
+
+// Horizontal distance from a body to a point
+function distanceTo(body, point) {
+  const position = body.translation();
+  return Math.hypot(position.x - point.x, position.z - point.z);
+}
+
+test('ducks paddle away from a nearby player and stay on the surface', () => {
+  const player = new THREE.Vector3(0, 0, 0);
+  const pond = createPond({ species: 'duck', count: 5 }, player);
+  const startDistance = Math.min(...pond.animals.map(({ body }) => distanceTo(body, player)));
+  assert.ok(startDistance < speciesTypes.duck.playerRadius, `nearest duck starts ${startDistance.toFixed(2)} m away`);
+
+  pond.step(6);
+
+  for (const { body } of pond.animals) {
+    const distance = distanceTo(body, player);
+    assert.ok(distance > startDistance + 1, `duck ended ${distance.toFixed(2)} m from the player`);
+    const y = body.translation().y;
+    assert.ok(Math.abs(y - WATER_LEVEL) < 0.3, `duck ended at height ${y.toFixed(2)}`);
+  }
+  pond.dispose();
+});
+
+test('a capybara follows the player and stops short of it', () => {
+  const player = new THREE.Vector3(8, 0, 0);
+  const pond = createPond({ species: 'capybara', count: 1, radius: 1 }, player);
+  const { followDistance } = speciesTypes.capybara;
+  const [{ body }] = pond.animals;
+  assert.ok(distanceTo(body, player) > followDistance + 3);
+
+  let closest = Infinity;
+  pond.step(15, () => {
+    closest = Math.min(closest, distanceTo(body, player));
+  });
+
+  // Drag slows it as it arrives, so it settles a little past followDistance
+  const distance = distanceTo(body, player);
+  assert.ok(distance < followDistance + 2.5, `capybara ended ${distance.toFixed(2)} m from the player`);
+  assert.ok(closest > followDistance - 1.5, `capybara came within ${closest.toFixed(2)} m of the player`);
+  pond.dispose();
+});
+
+test('fish swim between the pond bed and the surface', () => {
+  const player = new THREE.Vector3(100, 0, 100);
+  const pond = createPond({ species: 'fish', count: 8 }, player);
+  const { minDepth, floorClearance } = speciesTypes.fish;
+
+  // Allow the depth hold a little overshoot on its way back into the band
+  const ceiling = WATER_LEVEL - minDepth + 0.2;
+  const floor = GROUND_HEIGHT + floorClearance - 0.2;
+  let highest = -Infinity;
+  let lowest = Infinity;
+
+  pond.step(2);
+  pond.step(10, () => {
+    for (const { body } of pond.animals) {
+      const y = body.translation().y;
+      highest = Math.max(highest, y);
+      lowest = Math.min(lowest, y);
+    }
+  });
+
+  assert.ok(highest < ceiling, `a fish rose to ${highest.toFixed(2)}`);
+  assert.ok(lowest > floor, `a fish sank to ${lowest.toFixed(2)}`);
+  pond.dispose();
+});